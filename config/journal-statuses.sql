@@ -0,0 +1,37 @@
+-- Structured manuscript statuses read by the CHKSTS handlers, one snapshot per check
+CREATE TABLE IF NOT EXISTS journal_statuses (
+    id BIGSERIAL PRIMARY KEY,
+    journal_id BIGINT NOT NULL REFERENCES journal_data(id) ON DELETE CASCADE,
+    portal TEXT NOT NULL,
+    folder TEXT,
+    manuscript_number TEXT,
+    title TEXT,
+    status TEXT,
+    status_date TEXT,
+    checked_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS journal_statuses_journal_checked_idx
+    ON journal_statuses (journal_id, checked_at DESC);
+
+-- Last known status per journal, diffed against every new check
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS last_status JSONB;
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ;
+
+-- Last background check started, failed ones included, so the scheduler spaces retries across restarts
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS last_attempted_at TIMESTAMPTZ;
+
+-- Client's WhatsApp number, recorded on each request, for background status notifications
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS whatsapp_number TEXT;
+
+-- Credential health, updated after every login: 'ok', 'failing' (rejected, below the limit) or
+-- 'invalid' (no more attempts). The fingerprint ties the state to the saved credentials.
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS credential_status TEXT;
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS credential_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS credential_error TEXT;
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS credential_checked_at TIMESTAMPTZ;
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS credential_fingerprint TEXT;
+
+-- Encrypted cookies and localStorage of the last logged-in session, restored by scripts using IF-SESSION
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS session_state TEXT;
+ALTER TABLE journal_data ADD COLUMN IF NOT EXISTS session_saved_at TIMESTAMPTZ;
@@ -1,138 +1,304 @@
 import { Key } from "selenium-webdriver";
-import { By } from "selenium-webdriver";
+import { By, until } from "selenium-webdriver";
+import fs from 'fs';
+import path from 'path';
 import { screenshotManager } from '../services/services.js';  // Updated path
+import { extractStatusRecords } from './statusExtractor.js';
+import { JournalError } from '../utils/JournalError.js';
 
-// Helper function for switching active elements
-async function switchToActiveElement(driver) {
-    let activeElement = await driver.switchTo().activeElement();
-    let tagName = await activeElement.getTagName();
-    
-    while (tagName === 'iframe') {
-        await driver.switchTo().frame(activeElement);
-        activeElement = await driver.switchTo().activeElement();
-        tagName = await activeElement.getTagName();
-    }
-    
-    return activeElement;
+// Record a CHKSTS step on the run's execution trace when one is attached
+function traceStep(trace, driver, description, action) {
+    return trace ? trace.step(driver, description, action) : action();
 }
 
-// Editorial Manager CHKSTS handler
-export async function handleEditorialManagerCHKSTS(driver, order, foundTexts, whatsappNumber, userId) {
-    console.log("Starting Editorial Manager status check...");
-    let found = false;
-    let attempts = 0;
-    const MAX_ATTEMPTS = 20;
-
-    const textCollection = [
-        "Submissions Sent Back to Author",
-        "Incomplete Submissions",
-        "Submissions Waiting for Author's Approval",
-        "Submissions Being Processed",
-        "Submissions Needing Revision",
-        "Revisions Sent Back to Author",
-        "Incomplete Submissions Being Revised",
-        "Revisions Waiting for Author's Approval",
-        "Revisions Being Processed",
-        "Declined Revisions",
-        "Submissions with a Decision",
-        "Submissions with Production Completed",
-        "Submission Transfers Waiting for Author's Approval"
-    ];
+// Editorial Manager folder names, with per-journal overrides keyed by the journal code in the URL
+const EM_FOLDERS_CONFIG = path.join(process.cwd(), 'config', 'em-folders.json');
 
-    try {
-        while (!found && attempts < MAX_ATTEMPTS) {
-            attempts++;
-            await driver.actions().sendKeys(Key.TAB).perform();
-            let activeElement = await switchToActiveElement(driver);
-            let text = await activeElement.getText();
-
-            if (textCollection.includes(text) && !foundTexts.includes(text)) {
-                found = true;
-                foundTexts.push(text);
-
-                try {
-                    await driver.actions().keyDown(Key.CONTROL).sendKeys(Key.RETURN).keyUp(Key.CONTROL).perform();
-                    const tabs = await driver.getAllWindowHandles();
-                    await driver.switchTo().window(tabs[1]);
-                    await driver.sleep(5000);
-
-                    await screenshotManager.capture(driver, text, userId);
-
-                    await driver.close();
-                    await driver.switchTo().window(tabs[0]);
-                    await driver.actions().sendKeys(Key.HOME).perform();
-                    await driver.sleep(2000);
-                    break;
-                } catch (error) {
-                    console.error('Error handling tab operations:', error);
-                    const tabs = await driver.getAllWindowHandles();
-                    await driver.switchTo().window(tabs[0]);
-                }
+// Author main menu links with their "(n)" count, inside or just after the link (null when none shown)
+const READ_MENU_SCRIPT = `
+    const clean = value => (value || '').replace(/\\s+/g, ' ').trim();
+    const COUNT = /^\\((\\d+)\\)/;
+    return Array.from(document.querySelectorAll('a')).map(link => {
+        let name = clean(link.innerText || link.textContent);
+        let count = null;
+
+        const inLink = name.match(/\\s*\\((\\d+)\\)$/);
+        if (inLink) {
+            count = Number(inLink[1]);
+            name = name.slice(0, inLink.index);
+        } else {
+            for (let node = link, depth = 0; node && depth < 3 && count === null; node = node.parentElement, depth++) {
+                const context = clean(node.parentElement && node.parentElement.textContent);
+                const at = context.indexOf(name);
+                const after = at === -1 ? null : context.slice(at + name.length).trim().match(COUNT);
+                if (after) count = Number(after[1]);
             }
         }
+        return { name, count };
+    }).filter(link => link.name);
+`;
 
-        if (!found) {
-            console.log("No status texts found after maximum attempts");
-            return;
-        }
+function normalizeFolder(name) {
+    return name.replace(/[\u2018\u2019]/g, "'").replace(/\s+/g, ' ').trim().toLowerCase();
+}
 
-        // Check for additional statuses
-        let notFoundInCollection = false;
-        attempts = 0;
+function emFoldersFor(url) {
+    const config = JSON.parse(fs.readFileSync(EM_FOLDERS_CONFIG, 'utf-8'));
+    const journal = (new URL(url).pathname.split('/').filter(Boolean)[0] || '').toLowerCase();
+    const override = (config.journals || {})[journal] || {};
+    return [...(override.folders || config.folders), ...(override.additionalFolders || [])];
+}
 
-        while (!notFoundInCollection && attempts < MAX_ATTEMPTS) {
-            attempts++;
-            await driver.actions().sendKeys(Key.TAB).perform();
-            await driver.sleep(1000);
+// Find the author main menu (top page or one of its frames) and the configured folders on it
+async function readEMFolders(driver, folderNames) {
+    const wanted = new Set(folderNames.map(normalizeFolder));
+    const frames = await driver.findElements(By.css('iframe, frame'));
 
-            let activeElement = await switchToActiveElement(driver);
-            let text = await activeElement.getText();
+    for (let frame = -1; frame < frames.length; frame++) {
+        let links = [];
+        try {
+            if (frame >= 0) await driver.switchTo().frame(frame);
+            links = await driver.executeScript(READ_MENU_SCRIPT);
+        } catch (error) {
+            // Cross-origin or detached frame; keep looking
+        } finally {
+            await driver.switchTo().defaultContent();
+        }
 
-            if (!text) continue;
+        const folders = links.filter(link => wanted.has(normalizeFolder(link.name)));
+        if (folders.length > 0) {
+            return { frame: frame >= 0 ? frame : null, folders };
+        }
+    }
+    return { frame: null, folders: [] };
+}
 
-            if (!textCollection.includes(text)) {
-                notFoundInCollection = true;
-            } else if (!foundTexts.includes(text)) {
-                foundTexts.push(text);
+// Open a menu folder in a new tab, read and capture it, then return to the menu
+async function captureEMFolder(driver, frame, folder, records, userId) {
+    const mainWindow = await driver.getWindowHandle();
+    if (frame !== null) await driver.switchTo().frame(frame);
 
-                try {
-                    await driver.actions().keyDown(Key.CONTROL).sendKeys(Key.RETURN).keyUp(Key.CONTROL).perform();
-                    const tabs = await driver.getAllWindowHandles();
-                    await driver.switchTo().window(tabs[1]);
-                    await driver.sleep(5000);
+    // Exact name, or the name followed by its count; "Incomplete Submissions" must not match
+    // "Incomplete Submissions Being Revised"
+    const linkText = "normalize-space(.)";
+    const literal = xpathLiteral(folder);
+    const links = await driver.findElements(By.xpath(
+        `//a[${linkText}=${literal} or starts-with(${linkText}, concat(${literal}, ' ('))]`));
+    if (links.length === 0) {
+        await driver.switchTo().defaultContent();
+        throw new JournalError('SCRIPT_ERROR', `Folder "${folder}" not found on the author main menu`);
+    }
+    await driver.actions().keyDown(Key.CONTROL).click(links[0]).keyUp(Key.CONTROL).perform();
+    await driver.switchTo().defaultContent();
+    await driver.sleep(2000);
 
-                    await screenshotManager.capture(driver, text, userId);
+    const tabs = await driver.getAllWindowHandles();
+    const folderTab = tabs.find(tab => tab !== mainWindow);
+    if (folderTab) {
+        await driver.switchTo().window(folderTab);
+    }
+    await driver.sleep(3000);
 
-                    await driver.close();
-                    await driver.switchTo().window(tabs[0]);
-                    await driver.actions().sendKeys(Key.HOME).perform();
-                    await driver.sleep(2000);
-                } catch (error) {
-                    console.error('Error handling additional status:', error);
-                }
-            }
+    try {
+        records.push(...await extractStatusRecords(driver, folder));
+        await screenshotManager.capture(driver, folder, userId);
+    } finally {
+        if (folderTab) {
+            await driver.close();
+            await driver.switchTo().window(mainWindow);
+        } else {
+            await driver.navigate().back();
+            await driver.sleep(2000);
         }
+    }
+}
+
+// Editorial Manager CHKSTS handler
+export async function handleEditorialManagerCHKSTS(driver, order, foundTexts, whatsappNumber, userId, trace) {
+    console.log("Starting Editorial Manager status check...");
+    const records = [];
+
+    const folderNames = emFoldersFor(await driver.getCurrentUrl());
+    const { frame, folders } = await traceStep(trace, driver, 'CHKSTS read author main menu', () =>
+        readEMFolders(driver, folderNames));
+
+    // Only folders with items are opened; a folder without a visible count is opened to be safe
+    const toOpen = folders.filter(folder => folder.count !== 0 && !foundTexts.includes(folder.name));
+    console.log(`Editorial Manager folders: ${folders.map(folder => `${folder.name} (${folder.count ?? '?'})`).join(', ') || 'none found'}`);
+
+    if (toOpen.length === 0) {
+        await traceStep(trace, driver, 'CHKSTS no folders with items', async () => {});
+        return records;
+    }
+
+    for (const folder of toOpen) {
+        foundTexts.push(folder.name);
+        await traceStep(trace, driver, `CHKSTS open "${folder.name}"`, () =>
+            captureEMFolder(driver, frame, folder.name, records, userId));
+    }
+
+    return records;
+}
+
+// ScholarOne Author Dashboard queues worth checking, in the order they are captured
+const MANUSCRIPT_CENTRAL_QUEUES = [
+    "Submitted Manuscripts",
+    "Manuscripts with Decisions",
+    "Awaiting Revision",
+    "Manuscripts Awaiting Revision",
+    "Revised Manuscripts in Draft",
+    "Manuscripts I Have Co-Authored"
+];
+
+const AUTHOR_CENTER_XPATH = "//a[normalize-space()='Author' or normalize-space()='Author Center' or " +
+    "normalize-space()='Author Centre' or normalize-space()='Author Dashboard']";
+
+// Link texts on the page, e.g. "Submitted Manuscripts (2)" or "2 Submitted Manuscripts"
+const READ_LINKS_SCRIPT = `
+    return Array.from(document.querySelectorAll('a'))
+        .map(link => (link.innerText || link.textContent || '').replace(/\\s+/g, ' ').trim())
+        .filter(Boolean);
+`;
+
+// Queues listed on the dashboard with their entry count (null when the link shows none)
+async function readManuscriptCentralQueues(driver) {
+    const queues = new Map();
+    for (const text of await driver.executeScript(READ_LINKS_SCRIPT)) {
+        const name = text.replace(/\(?\d+\)?/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const queue = MANUSCRIPT_CENTRAL_QUEUES.find(candidate => candidate.toLowerCase() === name);
+        if (!queue || queues.has(queue)) continue;
+
+        const count = text.match(/\d+/);
+        queues.set(queue, count ? Number(count[0]) : null);
+    }
+    return queues;
+}
+
+async function clickAndWait(driver, element) {
+    try {
+        await element.click();
+    } catch (error) {
+        // Cookie banners and sticky headers intercept clicks; the JS click goes through
+        await driver.executeScript('arguments[0].click()', element);
+    }
+    try {
+        await driver.wait(until.stalenessOf(element), 10000);
     } catch (error) {
-        console.error('Error in handleEditorialManagerCHKSTS:', error);
+        // Newer dashboards swap queues in place without a page load
     }
+    await driver.sleep(3000);
 }
 
-// Manuscript Central CHKSTS handler
-export async function handleManuscriptCentralCHKSTS(driver, order, foundTexts) {
-    // TODO: Implement Manuscript Central CHKSTS handling
-    console.log("ManuscriptCentral CHKSTS handler not implemented yet");
+async function openAuthorCenter(driver) {
+    const links = await driver.findElements(By.xpath(AUTHOR_CENTER_XPATH));
+    if (links.length === 0) {
+        throw new JournalError('SCRIPT_ERROR', 'Author Center link not found on Manuscript Central');
+    }
+    await clickAndWait(driver, links[0]);
+}
+
+// Quote text for XPath; folder names such as "Author's Approval" contain apostrophes
+function xpathLiteral(text) {
+    if (!text.includes("'")) return `'${text}'`;
+    if (!text.includes('"')) return `"${text}"`;
+    return `concat('${text.split("'").join(`', "'", '`)}')`;
 }
 
-// TandF Online CHKSTS handler
-export async function handleTandFOnlineCHKSTS(driver, order, foundTexts) {
-    // TODO: Implement TandF Online CHKSTS handling
-    console.log("TandF Online CHKSTS handler not implemented yet");
+// Links whose text contains (or, with exact, equals) the given text, ignoring case
+function linkTextXpath(text, exact = false) {
+    const linkText = "translate(normalize-space(.), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz')";
+    const literal = xpathLiteral(text.toLowerCase());
+    return exact
+        ? `//a[${linkText}=${literal}]`
+        : `//a[contains(${linkText}, ${literal})]`;
+}
+
+// Open a portal's submissions list, read each submission's status and capture the page
+async function captureSubmissionsList(driver, list, foundTexts, userId, trace) {
+    if (foundTexts.includes(list.folder)) return [];
+    foundTexts.push(list.folder);
+    console.log(`Opening ${list.folder} list...`);
+
+    return await traceStep(trace, driver, `CHKSTS open "${list.folder}"`, async () => {
+        let opened = false;
+        for (const linkText of list.linkTexts) {
+            const links = await driver.findElements(By.xpath(linkTextXpath(linkText, true)));
+            if (links.length > 0) {
+                await clickAndWait(driver, links[0]);
+                opened = true;
+                break;
+            }
+        }
+        // No navigation link: go to the list directly, or assume login landed on it
+        if (!opened && list.path) {
+            await driver.get(new URL(list.path, await driver.getCurrentUrl()).href);
+            await driver.sleep(5000);
+        }
+
+        const records = await extractStatusRecords(driver, list.folder);
+        console.log(`Found ${records.length} submission(s) in ${list.folder}`);
+        await screenshotManager.capture(driver, list.folder, userId);
+        return records;
+    });
+}
+
+// Manuscript Central (ScholarOne) CHKSTS handler
+export async function handleManuscriptCentralCHKSTS(driver, order, foundTexts, whatsappNumber, userId, trace) {
+    console.log("Starting Manuscript Central status check...");
+    const records = [];
+
+    let queues = await readManuscriptCentralQueues(driver);
+    if (queues.size === 0) {
+        await traceStep(trace, driver, 'CHKSTS open Author Center', () => openAuthorCenter(driver));
+        queues = await readManuscriptCentralQueues(driver);
+    }
+
+    const withEntries = [...queues].filter(([, count]) => count !== 0).map(([queue]) => queue);
+    if (withEntries.length === 0) {
+        console.log("No Manuscript Central queues with entries found");
+        await traceStep(trace, driver, 'CHKSTS no Author Center queues with entries', async () => {});
+        return records;
+    }
+
+    for (const queue of withEntries) {
+        if (foundTexts.includes(queue)) continue;
+        foundTexts.push(queue);
+
+        await traceStep(trace, driver, `CHKSTS open "${queue}"`, async () => {
+            // Opening a queue can leave the dashboard; return to it before looking for the next one
+            let links = await driver.findElements(By.xpath(linkTextXpath(queue)));
+            if (links.length === 0) {
+                await openAuthorCenter(driver);
+                links = await driver.findElements(By.xpath(linkTextXpath(queue)));
+            }
+            if (links.length === 0) {
+                throw new JournalError('SCRIPT_ERROR', `Queue "${queue}" not found on the Author Dashboard`);
+            }
+
+            await clickAndWait(driver, links[0]);
+            records.push(...await extractStatusRecords(driver, queue));
+            await screenshotManager.capture(driver, queue, userId);
+        });
+    }
+
+    return records;
+}
+
+// Submissions list on the Taylor & Francis Research Portal (tandfonline and taylorfrancis logins)
+const TAYLOR_FRANCIS_SUBMISSIONS = {
+    folder: "Submissions",
+    linkTexts: ["My submissions", "Submissions", "Dashboard"],
+    path: "/dashboard/"
+};
+
+// TandF Online CHKSTS handler (the portal normally runs through tandf_handler.py, which does the same)
+export async function handleTandFOnlineCHKSTS(driver, order, foundTexts, whatsappNumber, userId, trace) {
+    return captureSubmissionsList(driver, TAYLOR_FRANCIS_SUBMISSIONS, foundTexts, userId, trace);
 }
 
 // Taylor Francis CHKSTS handler
-export async function handleTaylorFrancisCHKSTS(driver, order, foundTexts) {
-    // TODO: Implement Taylor Francis CHKSTS handling
-    console.log("Taylor Francis CHKSTS handler not implemented yet");
+export async function handleTaylorFrancisCHKSTS(driver, order, foundTexts, whatsappNumber, userId, trace) {
+    return captureSubmissionsList(driver, TAYLOR_FRANCIS_SUBMISSIONS, foundTexts, userId, trace);
 }
 
 // CG Scholar CHKSTS handler
@@ -141,40 +307,61 @@ export async function handleCGScholarCHKSTS(driver, order, foundTexts) {
     await driver.sleep(5000);
 }
 
+// TheSciPub dashboard folder links carry their entry count, e.g. "Under Review (2)"
+const COUNTED_FOLDER = /^(.+?)\s*\((\d+)\)$/;
+
 // TheSciPub CHKSTS handler
-export async function handleTheSciPubCHKSTS(driver, order, foundTexts, whatsappNumber) {
-    for (let i = 0; i < 13; i++) {
-        await driver.actions().sendKeys(Key.TAB).perform();
-        await driver.sleep(1000);
-        
-        let activeElement = await switchToActiveElement(driver);
-        let text = await activeElement.getText();
-
-        if (i >= 2 && text.includes("(1)")) {
-            await driver.actions().keyDown(Key.CONTROL).sendKeys(Key.RETURN).keyUp(Key.CONTROL).perform();
-            const tabs = await driver.getAllWindowHandles();
-            await driver.switchTo().window(tabs[1]);
-            await driver.sleep(5000);
+export async function handleTheSciPubCHKSTS(driver, order, foundTexts, whatsappNumber, userId, trace) {
+    console.log("Starting TheSciPub status check...");
+    const records = [];
+
+    const dashboardUrl = await driver.getCurrentUrl();
+    const folders = [];
+    for (const text of await driver.executeScript(READ_LINKS_SCRIPT)) {
+        const match = text.match(COUNTED_FOLDER);
+        if (match && Number(match[2]) > 0 && !folders.includes(match[1])) folders.push(match[1]);
+    }
 
-            console.log("Taking screenshot...");
-            const screenshotFolder = `screenshots/${order}`;
-            if (!fs.existsSync(screenshotFolder)) {
-                fs.mkdirSync(screenshotFolder, { recursive: true });
+    if (folders.length === 0) {
+        console.log("No TheSciPub folders with entries found");
+        await traceStep(trace, driver, 'CHKSTS no folders with entries', async () => {});
+        return records;
+    }
+
+    for (const folder of folders) {
+        if (foundTexts.includes(folder)) continue;
+        foundTexts.push(folder);
+
+        await traceStep(trace, driver, `CHKSTS open "${folder}"`, async () => {
+            const links = await driver.findElements(By.xpath(linkTextXpath(folder)));
+            if (links.length === 0) {
+                throw new JournalError('SCRIPT_ERROR', `Folder "${folder}" not found on the dashboard`);
             }
-            const timestamp = new Date().toISOString().replace(/[-:.]/g, "");
-            const screenshotName = `${screenshotFolder}/${text.replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.png`;
-            const image = await driver.takeScreenshot();
-            fs.writeFileSync(screenshotName, "base64");
 
-            await sendWhatsAppImage(whatsappNumber, screenshotName, text);
-            fs.unlinkSync(screenshotName);
+            const mainWindow = await driver.getWindowHandle();
+            await clickAndWait(driver, links[0]);
 
-            await driver.close();
-            await driver.switchTo().window(tabs[0]);
-            await driver.actions().sendKeys(Key.HOME).perform();
-            await driver.sleep(2000);
-        }
+            // Some folders open in a new tab
+            const tabs = await driver.getAllWindowHandles();
+            if (tabs.length > 1) {
+                await driver.switchTo().window(tabs.find(tab => tab !== mainWindow));
+                await driver.sleep(2000);
+            }
+
+            records.push(...await extractStatusRecords(driver, folder));
+            await screenshotManager.capture(driver, folder, userId);
+
+            if (tabs.length > 1) {
+                await driver.close();
+                await driver.switchTo().window(mainWindow);
+            } else {
+                await driver.get(dashboardUrl);
+                await driver.sleep(3000);
+            }
+        });
     }
+
+    return records;
 }
 
 // Wiley CHKSTS handler
@@ -183,20 +370,115 @@ export async function handleWileyCHKSTS(driver, order, foundTexts) {
     console.log("Wiley CHKSTS handler not implemented yet");
 }
 
-// Periodicos CHKSTS handler
-export async function handlePeriodicosCHKSTS(driver, order, foundTexts) {
-    // TODO: Implement Periodicos CHKSTS handling
-    console.log("Periodicos CHKSTS handler not implemented yet");
+// OJS submission lists: OJS 3 dashboard tabs (by panel id, as labels are translated)
+// and the OJS 2 author pages; only active submissions are opened one by one
+const OJS_LISTS = [
+    { folder: "My Queue", tabId: "myQueue", legacyPath: "author/index/active", active: true },
+    { folder: "Archives", tabId: "archive", legacyPath: "author/index/completed", active: false }
+];
+
+// Links to a single submission in OJS 3 (author dashboard, workflow) and OJS 2 (author pages)
+const OJS_SUBMISSION_LINK = /\/(?:authorDashboard\/submission|workflow\/access|author\/submission(?:Review)?)\/(\d+)/;
+
+// Journal base URL: everything up to the journal path, e.g. https://host/index.php/journal
+function ojsBaseUrl(url) {
+    const indexed = url.match(/^(.*?\/index\.php\/[^/?#]+)/);
+    if (indexed) return indexed[1];
+
+    const { origin, pathname } = new URL(url);
+    const [context] = pathname.split('/').filter(Boolean);
+    return context && !['login', 'submissions', 'author', 'user'].includes(context) ? `${origin}/${context}` : origin;
+}
+
+async function isOJS3Dashboard(driver) {
+    return (await driver.findElements(By.css('.pkpTabs, #dashboardTabs, .listPanel'))).length > 0;
 }
 
-// TSP Submission CHKSTS handler
-export async function handleTSPSubmissionCHKSTS(driver, order, foundTexts) {
-    // TODO: Implement TSP Submission CHKSTS handling
-    console.log("TSP Submission CHKSTS handler not implemented yet");
+// Go to the submissions dashboard (OJS 3) or the author home (OJS 2)
+async function openOJSDashboard(driver) {
+    const base = ojsBaseUrl(await driver.getCurrentUrl());
+
+    await driver.get(`${base}/submissions`);
+    await driver.sleep(4000);
+    if (await isOJS3Dashboard(driver)) return true;
+
+    await driver.get(`${base}/author`);
+    await driver.sleep(4000);
+    return false;
 }
 
+async function openOJSList(driver, list, isOJS3) {
+    if (!isOJS3) {
+        await driver.get(`${ojsBaseUrl(await driver.getCurrentUrl())}/${list.legacyPath}`);
+        await driver.sleep(4000);
+        return;
+    }
+
+    const tabs = await driver.findElements(By.xpath(
+        `//*[@id='${list.tabId}-button' or @href='#${list.tabId}' or @name='${list.tabId}']`));
+    if (tabs.length === 0) {
+        throw new JournalError('SCRIPT_ERROR', `${list.folder} tab not found on the OJS dashboard`);
+    }
+    await tabs[0].click();
+    await driver.sleep(3000);  // Lists load through the API after the tab opens
+}
+
+// Submission ids and links on the current list, in page order
+async function readOJSSubmissionLinks(driver) {
+    const submissions = new Map();
+    for (const link of await driver.findElements(By.css('a[href]'))) {
+        const href = await link.getAttribute('href');
+        const match = href && href.match(OJS_SUBMISSION_LINK);
+        if (match && !submissions.has(match[1])) submissions.set(match[1], href);
+    }
+    return submissions;
+}
+
+// Open Journal Systems CHKSTS handler, shared by every portal that runs OJS
+export async function handleOJSCHKSTS(driver, order, foundTexts, whatsappNumber, userId, trace) {
+    console.log("Starting OJS status check...");
+    const records = [];
+    const activeSubmissions = new Map();
+
+    const isOJS3 = await traceStep(trace, driver, 'CHKSTS open submissions dashboard', () => openOJSDashboard(driver));
+
+    for (const list of OJS_LISTS) {
+        if (foundTexts.includes(list.folder)) continue;
+        foundTexts.push(list.folder);
+
+        await traceStep(trace, driver, `CHKSTS open "${list.folder}"`, async () => {
+            await openOJSList(driver, list, isOJS3);
+            records.push(...await extractStatusRecords(driver, list.folder));
+            await screenshotManager.capture(driver, list.folder, userId);
+
+            if (list.active) {
+                for (const [id, href] of await readOJSSubmissionLinks(driver)) {
+                    activeSubmissions.set(id, href);
+                }
+            }
+        });
+    }
+
+    // Capture each active submission's own page, where the full workflow status is shown
+    for (const [id, href] of activeSubmissions) {
+        await traceStep(trace, driver, `CHKSTS open submission ${id}`, async () => {
+            await driver.get(href);
+            await driver.sleep(4000);
+            await screenshotManager.capture(driver, `Submission ${id}`, userId);
+        });
+    }
+
+    return records;
+}
+
+// Springer Nature's submission dashboard lists one card per submission
+const SPRINGER_NATURE_SUBMISSIONS = {
+    folder: "My Submissions",
+    linkTexts: ["My submissions", "Submissions", "Dashboard"],
+    path: null
+};
+
 // Springer Nature CHKSTS handler
-export async function handleSpringerNatureCHKSTS(driver, order, foundTexts) {
-    // TODO: Implement Springer Nature CHKSTS handling
-    console.log("Springer Nature CHKSTS handler not implemented yet");
+export async function handleSpringerNatureCHKSTS(driver, order, foundTexts, whatsappNumber, userId, trace) {
+    return captureSubmissionsList(driver, SPRINGER_NATURE_SUBMISSIONS, foundTexts, userId, trace);
 }
@@ -1,6 +1,6 @@
 import { Builder, By, Key } from "selenium-webdriver";
 import chrome from "selenium-webdriver/chrome.js";
-import { spawn } from 'child_process';
+import { setTimeout as sleep } from 'timers/promises';
 import fs from 'fs';
 import path from 'path';
 
@@ -10,278 +10,213 @@ import {
     SessionManager, 
     automateProcess 
 } from '../services/services.js';
+import { portalRegistry } from '../services/portalRegistry.js';
+import { browserPool } from '../services/browserPool.js';
+import { ExecutionTrace } from '../utils/ExecutionTrace.js';
+import { Watchdog } from '../utils/Watchdog.js';
+import { JournalError, classifyError } from '../utils/JournalError.js';
+import { logger } from '../utils/Logger.js';
+import { dbService } from '../services/dbService.js';
+import { statusTracker } from '../services/statusTracker.js';
+import { credentialHealth } from '../services/credentialHealth.js';
+import { captchaGuard } from '../services/captchaGuard.js';
+import { runPythonHandler } from './pythonBridge.js';
+import { parsePythonKeys, keysRunnerFor } from '../utils/keysParser.js';
+
+// Run a portal whose automation lives in a Python (SeleniumBase) script, over the JSON-lines bridge.
+// Screenshots go into the client's session as the script takes them.
+// watchdog: stops the script when a deadline passes; the step deadline restarts on every line of output
+export const runPythonPortal = async (portal, match, order, whatsappNumber, userId, watchdog = null) => {
+    const sessionId = SessionManager.createSession(userId);
 
-// Updated path resolution for virtual environment (Windows-compatible)
-const VENV_PYTHON = process.platform === 'win32'
-    ? path.join(process.cwd(), '.venv', 'Scripts', 'python.exe')  // Windows path
-    : path.join(process.cwd(), '.venv', 'bin', 'python');        // Unix path
-
-// Function to get Python executable path
-function getPythonPath() {
-    // First try the virtual environment
-    if (fs.existsSync(VENV_PYTHON)) {
-        return VENV_PYTHON;
-    }
-    
-    // Fallback to system Python
-    return process.platform === 'win32' ? 'python' : 'python3';
-}
-
-// Journal handler functions
-export const handleManuscriptCentral = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
-
-export const handleEditorialManager = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
-
-export const handleTandFOnline = async (match, order, whatsappNumber, userId) => {
-    const sessionId = SessionManager.createSession(whatsappNumber);
-    
     try {
-        console.log(`Starting TandF automation with SeleniumBase`);
-        
+        console.log(`Starting ${portal.name} automation with SeleniumBase`);
+
         // Verify keys file exists
-        const keysFile = path.join(process.cwd(), 'keys', 'taylo_KEYS.txt');
+        const keysFile = path.join(process.cwd(), portal.keysFile);
         if (!fs.existsSync(keysFile)) {
             console.error(`Keys file not found at ${keysFile}`);
-            throw new Error('TandF configuration file missing');
+            throw new JournalError('CONFIG_ERROR', `${portal.name} configuration file missing`);
         }
         console.log(`Using keys file: ${keysFile}`);
 
+        // The script skips lines it does not understand, so check the file before starting it
+        parsePythonKeys(fs.readFileSync(keysFile, 'utf-8'), { file: portal.keysFile, ...keysRunnerFor(portal) });
+
         // Create screenshots directory if it doesn't exist
         if (!fs.existsSync('screenshots')) {
             fs.mkdirSync('screenshots', { recursive: true });
         }
 
-        const result = await new Promise((resolve, reject) => {
-            // Use virtual environment Python
-            const pythonProcess = spawn(VENV_PYTHON, [
-                'handlers/tandf_handler.py',
-                match.url,
-                match.username,
-                match.password
-            ]);
-
-            let stdoutData = '';
-            let stderrData = '';
+        const handlerPath = path.join(process.cwd(), portal.script);
+        console.log(`Using handler script: ${handlerPath}`);
 
-            pythonProcess.stdout.on('data', (data) => {
-                stdoutData += data.toString();
-                console.log('Python output:', data.toString());
-            });
+        if (!fs.existsSync(handlerPath)) {
+            throw new JournalError('CONFIG_ERROR', `Handler script not found: ${handlerPath}`);
+        }
 
-            pythonProcess.stderr.on('data', (data) => {
-                stderrData += data.toString();
-                console.error('Python error:', data.toString());
-            });
+        const userSession = screenshotManager.sessions.get(userId) || screenshotManager.createSession(userId);
+        const collectScreenshot = (screenshot) => {
+            const timestamp = new Date().toISOString().replace(/[-:.]/g, "");
+            const filepath = path.join(userSession.folder, `${portal.id}_status_${timestamp}.png`);
 
-            pythonProcess.on('close', (code) => {
-                if (code !== 0) {
-                    reject(new Error(`Process exited with code ${code}: ${stderrData}`));
-                    return;
-                }
+            fs.copyFileSync(screenshot, filepath);
+            fs.unlinkSync(screenshot);
+            userSession.screenshots.add(filepath);
+        };
 
-                try {
-                    const lastLine = stdoutData.trim().split('\n').pop();
-                    const result = JSON.parse(lastLine);
-                    resolve(result);
-                } catch (e) {
-                    console.error('JSON parse error:', e);
-                    reject(new Error('Failed to parse Python output'));
-                }
-            });
+        const result = await runPythonHandler(handlerPath, [match.url, match.username, match.password, keysFile], {
+            watchdog,
+            onScreenshot: collectScreenshot
         });
 
-        if (result.status === 'success' && Array.isArray(result.screenshots)) {
-            const userSession = screenshotManager.sessions.get(userId) || screenshotManager.createSession(userId);
-
-            for (const screenshot of result.screenshots) {
-                if (fs.existsSync(screenshot)) {
-                    const screenshotContent = fs.readFileSync(screenshot);
-                    const timestamp = new Date().toISOString().replace(/[-:.]/g, "");
-                    const filename = `tandf_status_${timestamp}.png`;
-                    const filepath = path.join(userSession.folder, filename);
-
-                    fs.writeFileSync(filepath, screenshotContent);
-                    userSession.screenshots.add(filepath);
-                    fs.unlinkSync(screenshot);
-                }
-            }
-        } else {
-            throw new Error(result.error || 'Failed to get screenshots');
-        }
-
+        // Structured statuses read by the script's CHKSTS, if it has one
+        return Array.isArray(result.records) ? result.records : [];
     } catch (error) {
-        console.error("TandF automation error:", error);
+        console.error(`${portal.name} automation error:`, error);
+        throw error;  // Rethrow the error for proper handling upstream
     } finally {
-        await screenshotManager.sendToWhatsApp(whatsappNumber, userId);
         await SessionManager.cleanupSession(sessionId);
     }
 };
 
-export const handleTaylorFrancis = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
-
-export const handleCGScholar = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
+// Transient failures (portal down, timeout, crashed browser) are retried this many times,
+// waiting JOURNAL_RETRY_DELAY_SECONDS and doubling the wait each time
+const JOURNAL_RETRIES = Number(process.env.JOURNAL_RETRIES ?? 2);
+const JOURNAL_RETRY_DELAY_SECONDS = Number(process.env.JOURNAL_RETRY_DELAY_SECONDS) || 30;
 
-export const handleTheSciPub = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
-
-export const handleWiley = async (match, order, whatsappNumber, userId) => {
-    const sessionId = SessionManager.createSession(userId);  // Use userId instead of whatsappNumber
-    
+// Wait before a retry; cancelling the job ends the wait
+async function retryDelay(seconds, signal) {
     try {
-        console.log(`Starting Wiley automation with SeleniumBase`);
-        
-        if (!fs.existsSync('screenshots')) {
-            fs.mkdirSync('screenshots', { recursive: true });
-        }
-
-        const pythonPath = getPythonPath();
-        console.log(`Using Python executable: ${pythonPath}`);
-        
-        // Resolve handler path relative to current file
-        const handlerPath = path.join(process.cwd(), 'handlers', 'wiley_handler.py');
-        console.log(`Using handler script: ${handlerPath}`);
+        await sleep(seconds * 1000, null, { signal });
+    } catch (error) {
+        throw signal.reason;
+    }
+}
 
-        if (!fs.existsSync(handlerPath)) {
-            throw new Error(`Handler script not found: ${handlerPath}`);
-        }
+// One attempt at a journal, under its own watchdog. Failures come out classified (JournalError).
+async function runJournalAttempt(portal, match, order, whatsappNumber, userId, trace, signal) {
+    // Per-step and per-journal deadlines; also follows the job's cancellation signal
+    const watchdog = Watchdog.forPortal(portal, signal);
 
-        const result = await new Promise((resolve, reject) => {
-            const pythonProcess = spawn(pythonPath, [
-                handlerPath,
-                match.url,
-                match.username,
-                match.password
-            ], {
-                stdio: ['pipe', 'pipe', 'pipe'],
-                shell: process.platform === 'win32'  // Use shell on Windows
-            });
+    // Screenshots already in the session belong to earlier journals of the same request
+    const sessionScreenshots = () => Array.from(screenshotManager.sessions.get(userId)?.screenshots || []);
+    const existingScreenshots = new Set(sessionScreenshots());
 
-            let stdoutData = '';
-            let stderrData = '';
+    try {
+        let statuses = [];
+        if (portal.runner === 'python') {
+            // SeleniumBase starts its own browser; it still takes a pool slot
+            statuses = await trace.step(null, `python ${portal.script}`, () =>
+                browserPool.run(portal, () => {
+                    watchdog.start();
+                    return runPythonPortal(portal, match, order, whatsappNumber, userId, watchdog);
+                }, { driver: false, signal: watchdog.signal }));
+        } else {
+            statuses = await automateProcess(match, order, whatsappNumber, userId, trace, watchdog) || [];
+        }
 
-            pythonProcess.stdout.on('data', (data) => {
-                stdoutData += data.toString();
-                console.log('Python output:', data.toString());
-            });
+        const screenshots = sessionScreenshots().filter(file => !existingScreenshots.has(file));
+        return { statuses, screenshots };
+    } catch (error) {
+        if (signal?.aborted) throw error;
 
-            pythonProcess.stderr.on('data', (data) => {
-                stderrData += data.toString();
-                console.error('Python error:', data.toString());
-            });
+        // A retry starts over, so drop what this attempt captured
+        const session = screenshotManager.sessions.get(userId);
+        sessionScreenshots().filter(file => !existingScreenshots.has(file)).forEach(file => session?.screenshots.delete(file));
 
-            pythonProcess.on('close', (code) => {
-                if (code !== 0) {
-                    reject(new Error(`Process exited with code ${code}: ${stderrData}`));
-                    return;
-                }
+        // The browser or script is already gone after a deadline, so there is nothing to capture
+        if (watchdog.timedOut) {
+            throw new JournalError('TIMEOUT', watchdog.signal.reason.message, { cause: watchdog.signal.reason });
+        }
+        throw classifyError(error);
+    } finally {
+        watchdog.stop();
+    }
+}
 
-                try {
-                    const lastLine = stdoutData.trim().split('\n').pop();
-                    const result = JSON.parse(lastLine);
-                    resolve(result);
-                } catch (e) {
-                    console.error('JSON parse error:', e);
-                    reject(new Error('Failed to parse Python output'));
-                }
-            });
-        });
+// Main journal handler function
+export const handleJournal = async (match, order, whatsappNumber, userId, requestId = null, signal = null) => {
+    let trace = null;
+    let health = null;
+    let portal = null;
+    let cooldown = null;
+    try {
+        portal = portalRegistry.get(match.url);
+        trace = new ExecutionTrace({ requestId, journal: order, portal: portal.id, url: match.url });
 
-        if (result.status === 'success' && Array.isArray(result.screenshots)) {
-            const userSession = screenshotManager.sessions.get(userId) || screenshotManager.createSession(userId);
+        // A portal that just served a CAPTCHA is left alone until its cool-down ends
+        cooldown = captchaGuard.cooldownFor(portal.id);
+        if (cooldown) throw captchaGuard.cooldownError(portal, cooldown);
 
-            for (const screenshot of result.screenshots) {
-                if (fs.existsSync(screenshot)) {
-                    const screenshotContent = fs.readFileSync(screenshot);
-                    const timestamp = new Date().toISOString().replace(/[-:.]/g, "");
-                    const filename = `wiley_status_${timestamp}.png`;
-                    const filepath = path.join(userSession.folder, filename);
+        // Accounts whose logins keep getting rejected are not tried again, so the portal does not lock them
+        if (match.journalId) {
+            health = await credentialHealth.get(match.journalId);
+            if (credentialHealth.isBlocked(health)) throw credentialHealth.blockedError(health);
+        }
 
-                    fs.writeFileSync(filepath, screenshotContent);
-                    userSession.screenshots.add(filepath);
-                    fs.unlinkSync(screenshot);
-                }
+        let attempt = 1;
+        let run;
+        for (;;) {
+            try {
+                run = await runJournalAttempt(portal, match, order, whatsappNumber, userId, trace, signal);
+                break;
+            } catch (error) {
+                if (signal?.aborted || !error.transient || attempt > JOURNAL_RETRIES) throw error;
+
+                const delay = JOURNAL_RETRY_DELAY_SECONDS * 2 ** (attempt - 1);
+                attempt++;
+                console.log(`Journal ${order} (${portal.id}) failed with ${error.code}, retrying in ${delay}s (attempt ${attempt} of ${JOURNAL_RETRIES + 1})`);
+                trace.retry(error, attempt);
+                await retryDelay(delay, signal);
             }
+        }
+        const { statuses, screenshots } = run;
+        await credentialHealth.recordSuccess(health);
+
+        // Keep the latest structured statuses for the journal_data row
+        if (match.journalId && statuses.length > 0) {
+            await dbService.saveStatusRecords(match.journalId, portal.id, statuses);
+        }
 
-            // Only send WhatsApp message if whatsappNumber is provided
-            if (whatsappNumber) {
-                await screenshotManager.sendToWhatsApp(whatsappNumber, userId);
+        // Diff against the last known status
+        let change = null;
+        if (match.journalId) {
+            try {
+                change = await statusTracker.track(match.journalId, { records: statuses, screenshots });
+            } catch (error) {
+                console.error(`Status tracking failed for journal ${match.journalId}:`, error.message);
             }
-        } else {
-            throw new Error(result.error || 'Failed to get screenshots');
         }
 
+        return { portal: portal.id, screenshots, statuses, change };
     } catch (error) {
-        console.error("Wiley automation error:", error);
-        throw error;  // Rethrow the error for proper handling upstream
-    } finally {
-        // Only cleanup session if it's a WhatsApp request
-        if (whatsappNumber) {
-            await SessionManager.cleanupSession(sessionId);
+        if (signal?.aborted) {
+            trace?.cancel();
+            throw error;
         }
-    }
-};
-
-export const handlePeriodicos = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
-
-export const handleTSPSubmission = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
-
-export const handleSpringerNature = async (match, order, whatsappNumber, userId) => {
-    await automateProcess(match, order, whatsappNumber, userId);
-};
-
-// Main journal handler function
-export const handleJournal = async (match, order, whatsappNumber, userId) => {
-    try {
-        const url = match.url.toLowerCase();
-        // For upload-status requests, whatsappNumber might be null
-        const isUploadRequest = !whatsappNumber;
 
-        if (url.includes("manuscriptcentral")) {
-            await handleManuscriptCentral(match, order, whatsappNumber, userId);
-        } else if (url.includes("editorialmanager")) {
-            await handleEditorialManager(match, order, whatsappNumber, userId);
-        } else if (url.includes("tandfonline")) {
-            await handleTandFOnline(match, order, whatsappNumber, userId);
-        } else if (url.includes("taylorfrancis")) {
-            await handleTaylorFrancis(match, order, whatsappNumber, userId);
-        } else if (url.includes("cgscholar")) {
-            await handleCGScholar(match, order, whatsappNumber, userId);
-        } else if (url.includes("thescipub")) {
-            await handleTheSciPub(match, order, whatsappNumber, userId);
-        } else if (url.includes("wiley.scienceconnect.io") || url.includes("onlinelibrary.wiley")) {
-            await handleWiley(match, order, whatsappNumber, userId);
-        } else if (url.includes("periodicos")) {
-            await handlePeriodicos(match, order, whatsappNumber, userId);
-        } else if (url.includes("tspsubmission")) {
-            await handleTSPSubmission(match, order, whatsappNumber, userId);
-        } else if (url.includes("springernature")) {
-            await handleSpringerNature(match, order, whatsappNumber, userId);
-        } else {
-            throw new Error(`No handler for URL: ${match.url}`);
+        const failure = classifyError(error);
+        console.error(`Error in handleJournal [${failure.code}]: ${failure.message}`);
+        if (failure.code === 'LOGIN_FAILED' && !credentialHealth.isBlocked(health)) {
+            await credentialHealth.recordFailure(health, failure);
         }
-
-        // For upload requests, return the screenshots from the session
-        if (isUploadRequest) {
-            const userSession = screenshotManager.sessions.get(userId);
-            if (userSession) {
-                return Array.from(userSession.screenshots);
-            }
+        if (trace && failure.code === 'TIMEOUT') {
+            trace.timeout(failure);
+        } else if (trace && !trace.failure) {
+            await trace.fail(null, failure);
+        }
+        if (failure.code === 'CAPTCHA' && portal && !cooldown) {
+            await captchaGuard.report(portal, failure, {
+                journal: match.journalId || order,
+                screenshot: trace?.failure?.screenshot
+            });
+        }
+        throw failure;
+    } finally {
+        if (trace && requestId) {
+            trace.finish();
+            await logger.saveTrace(trace);
         }
-    } catch (error) {
-        console.error(`Error in handleJournal: ${error.message}`);
-        throw error;
     }
 };
@@ -0,0 +1,111 @@
+"""Shared by the Python portal handlers: the JSON-lines protocol read by handlers/pythonBridge.js,
+failure codes and the login check.
+
+Every event is one JSON object on its own stdout line:
+    {"event": "progress", "message": ...}
+    {"event": "screenshot", "path": ...}
+    {"event": "result", ...}
+    {"event": "error", "error": ..., "code": ...}
+After redirect_prints(), anything else the handler prints goes to stderr, so a stray print
+cannot be mistaken for an event.
+"""
+import json
+import sys
+import time
+
+from selenium.webdriver.common.by import By
+
+_events = sys.stdout
+
+def redirect_prints():
+    """Send print() output to stderr; events keep the real stdout"""
+    sys.stdout = sys.stderr
+
+def emit(event, **fields):
+    _events.write(json.dumps({"event": event, **fields}) + "\n")
+    _events.flush()
+
+def progress(message):
+    emit("progress", message=message)
+
+def screenshot(path):
+    emit("screenshot", path=path)
+
+def result(**fields):
+    emit("result", **fields)
+
+def error(exception):
+    emit("error", error=str(exception), code=error_code(exception))
+
+class LoginFailedError(Exception):
+    """The portal kept its login form up after the password was submitted"""
+
+class CaptchaError(Exception):
+    """The page is a bot check (reCAPTCHA, hCaptcha, Cloudflare)"""
+
+def error_code(error):
+    """Failure code for the Node bridge (ERROR_CODES in utils/JournalError.js)"""
+    message = str(error)
+    if isinstance(error, LoginFailedError):
+        return "LOGIN_FAILED"
+    if isinstance(error, CaptchaError):
+        return "CAPTCHA"
+    if isinstance(error, FileNotFoundError):
+        return "CONFIG_ERROR"
+    if "net::ERR_" in message or "ERR_NAME_NOT_RESOLVED" in message:
+        return "PORTAL_DOWN"
+    if "invalid session id" in message or "chrome not reachable" in message:
+        return "BROWSER_CRASHED"
+    return "SCRIPT_ERROR"
+
+# Name of the bot check the page shows, or None. The same check as CHALLENGE_PAGE_SCRIPT in
+# utils/JournalError.js, which the Selenium runner uses; keep the two in step.
+CHALLENGE_PAGE_SCRIPT = """
+    const shown = element => element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+    const widgets = [
+        ['reCAPTCHA challenge', 'iframe[src*="recaptcha/api2/bframe"], iframe[src*="recaptcha/enterprise/bframe"]'],
+        ['reCAPTCHA checkbox', 'iframe[src*="recaptcha/api2/anchor"]:not([src*="size=invisible"]), iframe[src*="recaptcha/enterprise/anchor"]:not([src*="size=invisible"])'],
+        ['hCaptcha', 'iframe[src*="hcaptcha.com"][src*="frame=checkbox"], iframe[src*="hcaptcha.com"][src*="frame=challenge"]'],
+        ['Cloudflare challenge', '#challenge-form, #challenge-running, #challenge-stage, iframe[src*="challenges.cloudflare.com"]']
+    ];
+    for (const [name, selector] of widgets) {
+        if (Array.from(document.querySelectorAll(selector)).some(shown)) return name;
+    }
+
+    const text = (document.body && document.body.innerText || '').slice(0, 5000);
+    const phrase = text.match(/verify (that )?you are (a )?human|are you a robot|complete the (security )?captcha|checking (if the site connection is secure|your browser before accessing)/i);
+    if (phrase) return phrase[0];
+    if (/^just a moment/i.test(document.title.trim())) return 'Cloudflare "Just a moment" page';
+    return null;
+"""
+
+# Instructions the page is checked for a bot check before, as in the Selenium runner
+CHALLENGE_CHECKPOINTS = ("INPUTUSR", "SCRNSHT", "CHKSTS")
+
+def check_challenge(driver):
+    """Fail with CAPTCHA when the page is a bot check, before the script types into it or captures it"""
+    challenge = driver.execute_script(CHALLENGE_PAGE_SCRIPT)
+    if challenge:
+        raise CaptchaError(f"Bot check on the page: {challenge} ({driver.current_url})")
+
+def diagnose(driver, error):
+    """The error to report for a failed run: CAPTCHA when the run stopped on a bot check"""
+    if driver is None or isinstance(error, (CaptchaError, LoginFailedError)):
+        return error
+    try:
+        check_challenge(driver)
+    except CaptchaError as challenge:
+        return challenge
+    except Exception:
+        pass  # Browser gone; report the error itself
+    return error
+
+def check_login(driver, login_url, settle_seconds=5):
+    """Fail when the browser is still on the page the password was typed into, with the password field showing"""
+    for _ in range(settle_seconds):
+        same_page = driver.current_url.split('#')[0] == login_url.split('#')[0]
+        password_fields = [field for field in driver.find_elements(By.CSS_SELECTOR, 'input[type="password"]') if field.is_displayed()]
+        if not (same_page and password_fields):
+            return
+        time.sleep(1)  # The form may still be submitting
+    raise LoginFailedError(f"Login did not get past {login_url}")
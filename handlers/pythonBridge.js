@@ -0,0 +1,157 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+import fs from 'fs';
+import path from 'path';
+import { JournalError } from '../utils/JournalError.js';
+
+// Updated path resolution for virtual environment (Windows-compatible)
+const VENV_PYTHON = process.platform === 'win32'
+    ? path.join(process.cwd(), '.venv', 'Scripts', 'python.exe')  // Windows path
+    : path.join(process.cwd(), '.venv', 'bin', 'python');        // Unix path
+
+// Last lines of stderr kept for the error message of a script that dies without an error event
+const STDERR_TAIL_LINES = 20;
+
+// How long a stopped script gets to exit on SIGTERM before its process group is killed
+const KILL_GRACE_MS = 5000;
+
+// Scripts still running, stopped on shutdown
+const running = new Set();
+
+// Function to get Python executable path
+function getPythonPath() {
+    // First try the virtual environment
+    if (fs.existsSync(VENV_PYTHON)) {
+        return VENV_PYTHON;
+    }
+
+    // Fallback to system Python
+    return process.platform === 'win32' ? 'python' : 'python3';
+}
+
+// Stop a script and everything it started. SeleniumBase's chromedriver and Chrome are the
+// script's children and outlive it when only the script is signalled (Python exits on SIGTERM
+// without running its finally blocks), so the script runs in its own process group and the
+// whole group is stopped.
+function killHandler(pythonProcess) {
+    if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(pythonProcess.pid), '/T', '/F']);
+        return;
+    }
+
+    const signalGroup = (name) => {
+        try {
+            process.kill(-pythonProcess.pid, name);
+        } catch (error) {
+            // Group already gone
+        }
+    };
+    signalGroup('SIGTERM');
+    setTimeout(() => signalGroup('SIGKILL'), KILL_GRACE_MS).unref();
+}
+
+// Stop every running script (server shutdown)
+export function stopPythonHandlers() {
+    for (const pythonProcess of running) killHandler(pythonProcess);
+    running.clear();
+}
+
+// One event per stdout line (see handlers/portal_bridge.py); null for anything else
+function parseEvent(line) {
+    try {
+        const event = JSON.parse(line);
+        return event && typeof event.event === 'string' ? event : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Run a Python portal handler speaking the JSON-lines protocol:
+//   {"event": "progress", "message": ...}    logged; restarts the step deadline
+//   {"event": "screenshot", "path": ...}     handed to onScreenshot as soon as it is taken
+//   {"event": "result", ...}                 resolves the run with the event
+//   {"event": "error", "error": ..., "code": ...}  rejects with a JournalError of that code
+// Other output is only logged, so a stray print cannot break the run. The watchdog's step
+// deadline restarts on every line; aborting its signal kills the script and its browser.
+export function runPythonHandler(script, args, { watchdog = null, onScreenshot = null } = {}) {
+    const signal = watchdog?.signal;
+    const label = `python ${path.relative(process.cwd(), script)}`;
+
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+
+        const pythonProcess = spawn(getPythonPath(), [script, ...args], {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            detached: process.platform !== 'win32',  // Own process group, see killHandler
+            shell: process.platform === 'win32'  // Use shell on Windows
+        });
+        running.add(pythonProcess);
+
+        let outcome = null;  // The script's result or error event
+        let settled = false;
+        const stderrTail = [];
+
+        const finish = (error, value) => {
+            if (settled) return;
+            settled = true;
+            running.delete(pythonProcess);
+            watchdog?.disarmStep();
+            signal?.removeEventListener('abort', onAbort);
+            if (error) reject(error);
+            else resolve(value);
+        };
+
+        // Cancelling the job or a passed deadline kills the script together with its browser
+        const onAbort = () => {
+            killHandler(pythonProcess);
+            finish(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        watchdog?.armStep(label);
+
+        const handleEvent = (event) => {
+            if (event.event === 'progress') {
+                console.log(`${label}: ${event.message}`);
+            } else if (event.event === 'screenshot') {
+                try {
+                    onScreenshot?.(event.path);
+                } catch (error) {
+                    console.error(`${label}: could not collect screenshot ${event.path}:`, error.message);
+                }
+            } else if (event.event === 'result' || event.event === 'error') {
+                outcome = outcome || event;
+            } else {
+                console.log(`${label}: unknown event '${event.event}'`);
+            }
+        };
+
+        readline.createInterface({ input: pythonProcess.stdout }).on('line', (line) => {
+            watchdog?.armStep(label);
+            const event = parseEvent(line);
+            if (event) handleEvent(event);
+            else if (line.trim()) console.log(`${label}:`, line);
+        });
+
+        readline.createInterface({ input: pythonProcess.stderr }).on('line', (line) => {
+            watchdog?.armStep(label);
+            console.error(`${label}:`, line);
+            stderrTail.push(line);
+            if (stderrTail.length > STDERR_TAIL_LINES) stderrTail.shift();
+        });
+
+        pythonProcess.on('error', (error) => {
+            finish(new JournalError('CONFIG_ERROR', `Could not start ${label}: ${error.message}`, { cause: error }));
+        });
+
+        pythonProcess.on('close', (code) => {
+            if (outcome?.event === 'result') {
+                finish(null, outcome);
+            } else if (outcome?.event === 'error') {
+                finish(new JournalError(outcome.code || 'SCRIPT_ERROR', outcome.error || `${label} failed`));
+            } else {
+                const detail = stderrTail.join('\n') || 'no output';
+                finish(new JournalError('SCRIPT_ERROR', `${label} exited with code ${code} without a result: ${detail}`));
+            }
+        });
+    });
+}
@@ -0,0 +1,107 @@
+// Browser-side reader for manuscript status rows. Not a module: statusExtractor.js and the
+// Python handlers load this file and run the function in the page through executeScript,
+// so it must stay self-contained.
+function readStatusRecords(folder) {
+    // Header keywords for the columns we read; statusDate is checked before status
+    const COLUMN_PATTERNS = [
+        ['manuscriptNumber', /manuscript\s*(number|no\.?|id|#)|submission\s*(id|number|no\.?)|^id$|^#$/i],
+        ['title', /title/i],
+        ['statusDate', /status\s*date|date\s*of\s*status|last\s*(updated|modified)|decision\s*date/i],
+        ['status', /status|decision|stage/i]
+    ];
+    const ID_LABEL = /^(?:submission|manuscript)\s*(?:id|number|no\.?)\b\s*:?\s*(.*)$/i;
+    const ID_LABELS = /(?:submission|manuscript)\s*(?:id|number|no\.?)\b/gi;
+
+    const text = node => ((node && (node.innerText || node.textContent)) || '').replace(/\s+/g, ' ').trim();
+    const isRecord = record => record.status && (record.manuscriptNumber || record.title);
+    const records = [];
+
+    // Status tables (Editorial Manager, ScholarOne, OJS 2): map header cells to columns
+    for (const table of document.querySelectorAll('table')) {
+        const headerRow = (table.tHead && table.tHead.rows[0]) || table.rows[0];
+        if (!headerRow) continue;
+
+        const headers = Array.from(headerRow.cells).map(text);
+        const columns = {};
+        for (const [name, pattern] of COLUMN_PATTERNS) {
+            const index = headers.findIndex((header, i) =>
+                pattern.test(header) && !Object.values(columns).includes(i));
+            if (index !== -1) columns[name] = index;
+        }
+        if (columns.status === undefined ||
+            (columns.manuscriptNumber === undefined && columns.title === undefined)) continue;
+
+        for (const row of Array.from(table.rows)) {
+            if (row === headerRow || row.parentElement.tagName === 'THEAD') continue;
+
+            const cells = Array.from(row.cells).map(text);
+            if (cells.length < headers.length || cells.every(cell => !cell)) continue;
+
+            const pick = name => (columns[name] !== undefined ? cells[columns[name]] || null : null);
+            records.push({
+                manuscriptNumber: pick('manuscriptNumber'),
+                title: pick('title'),
+                status: pick('status'),
+                statusDate: pick('statusDate'),
+                folder
+            });
+        }
+    }
+    if (records.some(isRecord)) return records.filter(isRecord);
+
+    // OJS 3 submission lists: stage badge plus notice; hidden tabs stay in the DOM, so skip them
+    for (const item of document.querySelectorAll('.listPanel__item')) {
+        if (item.getClientRects().length === 0) continue;
+
+        const stage = text(item.querySelector('.listPanel__item--submission__stage .pkpBadge, .pkpBadge'));
+        const notice = text(item.querySelector('.listPanel__item--submission__notice'));
+        records.push({
+            manuscriptNumber: text(item.querySelector('.listPanel__item--submission__id')).replace(/^#\s*/, '') || null,
+            title: text(item.querySelector('.listPanel__itemSubtitle')) || null,
+            status: [stage, notice].filter(Boolean).join(': ') || null,
+            statusDate: null,
+            folder
+        });
+    }
+    if (records.some(isRecord)) return records.filter(isRecord);
+
+    // Card dashboards (Springer Nature, T&F Research Portal): one card per submission,
+    // found from its "Submission ID" label by widening to the largest block holding one ID
+    const labels = Array.from(document.querySelectorAll('body *')).filter(element =>
+        ID_LABEL.test(text(element)) &&
+        !Array.from(element.children).some(child => ID_LABEL.test(text(child))));
+
+    const cards = [];
+    for (const label of labels) {
+        let card = label;
+        while (card.parentElement && card.parentElement !== document.body &&
+            (text(card.parentElement).match(ID_LABELS) || []).length <= 1) {
+            card = card.parentElement;
+        }
+        if (!cards.includes(card)) cards.push(card);
+    }
+
+    for (const card of cards) {
+        const lines = (card.innerText || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+        // Value after a label, on the same line or the next one
+        const valueAfter = pattern => {
+            for (let i = 0; i < lines.length; i++) {
+                const match = lines[i].match(pattern);
+                if (match) return match[1].trim() || lines[i + 1] || null;
+            }
+            return null;
+        };
+
+        const title = card.querySelector('[class*="title" i]') || card.querySelector('h1, h2, h3, h4, h5, h6');
+        records.push({
+            manuscriptNumber: valueAfter(ID_LABEL),
+            title: title ? text(title) : null,
+            status: valueAfter(/^(?:current\s*)?status(?!\s*date)\s*:?\s*(.*)$/i) ||
+                text(card.querySelector('[class*="status" i]')) || null,
+            statusDate: valueAfter(/^(?:last\s*updated|status\s*date|updated\s*on)\s*:?\s*(.*)$/i),
+            folder
+        });
+    }
+    return records.filter(isRecord);
+}
@@ -0,0 +1,23 @@
+import { By } from "selenium-webdriver";
+import fs from 'fs';
+
+// Shared with the Python handlers, which run the same file in their browsers
+const READ_RECORDS_SCRIPT = `return (${fs.readFileSync(new URL('./readStatusRecords.js', import.meta.url), 'utf8')})(arguments[0]);`;
+
+// Read manuscript status rows (tables or submission cards) from the current page and its frames
+export async function extractStatusRecords(driver, folder) {
+    let records = await driver.executeScript(READ_RECORDS_SCRIPT, folder);
+    if (records.length > 0) return records;
+
+    // Older portals render the folder contents inside a frame
+    const frames = await driver.findElements(By.css('iframe, frame'));
+    for (let i = 0; i < frames.length && records.length === 0; i++) {
+        try {
+            await driver.switchTo().frame(i);
+            records = await driver.executeScript(READ_RECORDS_SCRIPT, folder);
+        } finally {
+            await driver.switchTo().defaultContent();
+        }
+    }
+    return records;
+}
@@ -4,10 +4,39 @@ from selenium.webdriver.common.keys import Keys
 from selenium.webdriver import ActionChains
 import os
 import sys
-import json
 import time
+import portal_bridge as bridge
 
-def execute_instruction(driver, instruction, username=None, password=None):
+# Browser-side status reader shared with the Node handlers (handlers/statusExtractor.js)
+STATUS_SCRIPT = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'readStatusRecords.js')
+SUBMISSIONS_URL = "https://rp.tandfonline.com/dashboard/"
+SUBMISSIONS_FOLDER = "Submissions"
+
+def check_status(driver, records):
+    # Open the submissions list, read each submission's status and capture the page
+    for link_text in ("My submissions", "Submissions"):
+        links = driver.find_elements(By.XPATH, f"//a[normalize-space()='{link_text}']")
+        if links:
+            links[0].click()
+            break
+    else:
+        if "/dashboard" not in driver.current_url:
+            driver.get(SUBMISSIONS_URL)
+    time.sleep(5)
+
+    with open(STATUS_SCRIPT, 'r') as f:
+        script = f.read()
+    found = driver.execute_script(f"return ({script})(arguments[0]);", SUBMISSIONS_FOLDER) or []
+    records.extend(found)
+    print(f"Found {len(found)} submission(s)")
+
+    os.makedirs("screenshots", exist_ok=True)
+    timestamp = time.strftime("%Y%m%d-%H%M%S")
+    screenshot_path = os.path.join("screenshots", f"tandf_submissions_{timestamp}.png")
+    driver.get_screenshot_as_file(screenshot_path)
+    return screenshot_path
+
+def execute_instruction(driver, instruction, username=None, password=None, records=None):
     try:
         actions = ActionChains(driver)
         
@@ -34,14 +63,18 @@ def execute_instruction(driver, instruction, username=None, password=None):
             screenshot_path = os.path.join("screenshots", f"tandf_{timestamp}.png")
             driver.get_screenshot_as_file(screenshot_path)
             return screenshot_path
+        elif instruction == "CHKSTS":
+            return check_status(driver, records if records is not None else [])
             
         # time.sleep(1)  # Small delay after each action
         
     except Exception as e:
         print(f"Error executing {instruction}: {str(e)}")
+        if instruction == "CHKSTS":
+            raise  # A failed status read must not look like an empty submissions list
     return None
 
-def handle_tandf(url, username, password):
+def handle_tandf(url, username, password, keys_file=None):
     driver = None
     try:
         driver = Driver(uc=True, headed=True, headless=True)
@@ -49,7 +82,8 @@ def handle_tandf(url, username, password):
         print("Window size set")
         
         # Get absolute path to keys file
-        keys_file = os.path.join(os.getcwd(), 'keys', 'taylo_KEYS.txt')
+        if not keys_file:
+            keys_file = os.path.join(os.getcwd(), 'keys', 'taylo_KEYS.txt')
         print(f"Looking for keys file at: {keys_file}")
 
         if not os.path.exists(keys_file):
@@ -59,8 +93,10 @@ def handle_tandf(url, username, password):
         # Navigate to URL with delay
         driver.get("https://rp.tandfonline.com/dashboard/")
         driver.sleep(5)  # Wait for page load
+        bridge.check_challenge(driver)
 
         screenshots = []
+        records = []
         
         # Read instructions file with error handling
         try:
@@ -72,37 +108,46 @@ def handle_tandf(url, username, password):
             instructions = []
 
         # Execute each instruction with logging
+        login_url = None  # Page the password was typed into, until the login is checked
         for idx, instruction in enumerate(instructions):
-            print(f"Executing instruction {idx + 1}/{len(instructions)}: {instruction}")
-            screenshot = execute_instruction(driver, instruction, username, password)
+            bridge.progress(f"Executing instruction {idx + 1}/{len(instructions)}: {instruction}")
+            if instruction in bridge.CHALLENGE_CHECKPOINTS:
+                bridge.check_challenge(driver)
+            if login_url and instruction in ("SCRNSHT", "CHKSTS"):
+                bridge.check_login(driver, login_url)
+                login_url = None
+            screenshot = execute_instruction(driver, instruction, username, password, records)
+            if instruction == "INPUTPASS":
+                login_url = driver.current_url
             if screenshot:
                 screenshots.append(screenshot)
-                print(f"Screenshot saved: {screenshot}")
+                bridge.screenshot(screenshot)
+        if login_url:
+            bridge.check_login(driver, login_url)
 
         result = {
             "status": "success",
             "screenshots": screenshots,
+            "records": records,
             "message": f"Completed {len(instructions)} instructions",
             "debug": f"Read {len(instructions)} instructions from {keys_file}"
         }
-        
+        bridge.result(**result)
+
     except Exception as e:
         print(f"Error during execution: {str(e)}")
-        result = {
-            "status": "error",
-            "error": str(e)
-        }
-    
+        bridge.error(bridge.diagnose(driver, e))
+
     finally:
         if driver:
             driver.quit()
-        print(json.dumps(result))
-        sys.stdout.flush()
 
 if __name__ == "__main__":
-    if len(sys.argv) != 4:
-        result = {"status": "error", "error": "Invalid arguments"}
-        print(json.dumps(result))
+    if len(sys.argv) not in (4, 5):
+        bridge.emit("error", error="Invalid arguments", code="SCRIPT_ERROR")
         sys.exit(1)
     
-    handle_tandf(sys.argv[1], sys.argv[2], sys.argv[3])
+    bridge.redirect_prints()
+
+    # Optional 4th argument: keys file declared by the portal registry
+    handle_tandf(*sys.argv[1:])
@@ -4,8 +4,8 @@ from selenium.webdriver.common.keys import Keys
 from selenium.webdriver import ActionChains
 import os
 import sys
-import json
 import time
+import portal_bridge as bridge
 from PIL import Image  # Ensure Pillow is installed
 import io
 
@@ -81,7 +81,7 @@ def execute_instruction(driver, instruction, username=None, password=None):
         print(f"Error executing {instruction}: {str(e)}")
     return None
 
-def handle_wiley(url, username, password):
+def handle_wiley(url, username, password, keys_file='keys/wiley_KEYS.txt'):
     driver = None
     try:
         driver = Driver(uc=True, headed=True, headless=True)  # Added headless=True
@@ -91,46 +91,56 @@ def handle_wiley(url, username, password):
         print("Navigating to Wiley Science Connect login page")
         driver.get("https://wiley.atyponrex.com/submission/dashboard?siteName=JZO")
         time.sleep(6)
+        bridge.check_challenge(driver)
 
         screenshots = []
         
         try:
-            with open('keys/wiley_KEYS.txt', 'r') as f:
+            with open(keys_file, 'r') as f:
                 instructions = [line.strip() for line in f if line.strip()]
         except Exception as e:
             print(f"Error reading instructions file: {str(e)}")
             instructions = []
 
         # Execute each instruction
-        for instruction in instructions:
+        login_url = None  # Page the password was typed into, until the login is checked
+        for idx, instruction in enumerate(instructions):
+            bridge.progress(f"Executing instruction {idx + 1}/{len(instructions)}: {instruction}")
+            if instruction in bridge.CHALLENGE_CHECKPOINTS:
+                bridge.check_challenge(driver)
+            if login_url and instruction == "SCRNSHT":
+                bridge.check_login(driver, login_url)
+                login_url = None
             screenshot = execute_instruction(driver, instruction, username, password)
+            if instruction == "INPUTPASS":
+                login_url = driver.current_url
             if screenshot:
                 screenshots.append(screenshot)
-                print(f"Screenshot saved: {screenshot}")
+                bridge.screenshot(screenshot)
+        if login_url:
+            bridge.check_login(driver, login_url)
 
         result = {
             "status": "success",
             "screenshots": screenshots,
             "message": f"Completed {len(instructions)} instructions"
         }
-        
+        bridge.result(**result)
+
     except Exception as e:
         print(f"Error during execution: {str(e)}")
-        result = {
-            "status": "error",
-            "error": str(e)
-        }
-    
+        bridge.error(bridge.diagnose(driver, e))
+
     finally:
         if driver:
             driver.quit()
-        print(json.dumps(result))
-        sys.stdout.flush()
 
 if __name__ == "__main__":
-    if len(sys.argv) != 4:
-        result = {"status": "error", "error": "Invalid arguments"}
-        print(json.dumps(result))
+    if len(sys.argv) not in (4, 5):
+        bridge.emit("error", error="Invalid arguments", code="SCRIPT_ERROR")
         sys.exit(1)
     
-    handle_wiley(sys.argv[1], sys.argv[2], sys.argv[3])
+    bridge.redirect_prints()
+
+    # Optional 4th argument: keys file declared by the portal registry
+    handle_wiley(*sys.argv[1:])
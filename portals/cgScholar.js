@@ -0,0 +1,10 @@
+import { handleCGScholarCHKSTS } from '../handlers/chkstsHandlers.js';
+
+export default {
+    id: 'cgscholar',
+    name: 'CG Scholar',
+    hosts: ['cgscholar'],
+    runner: 'selenium',
+    keysFile: 'keys/cgsch_KEYS.txt',
+    chksts: handleCGScholarCHKSTS
+};
@@ -0,0 +1,10 @@
+import { handleEditorialManagerCHKSTS } from '../handlers/chkstsHandlers.js';
+
+export default {
+    id: 'editorialmanager',
+    name: 'Editorial Manager',
+    hosts: ['editorialmanager'],
+    runner: 'selenium',
+    keysFile: 'keys/edito_KEYS.txt',
+    chksts: handleEditorialManagerCHKSTS
+};
@@ -0,0 +1,10 @@
+import { handleManuscriptCentralCHKSTS } from '../handlers/chkstsHandlers.js';
+
+export default {
+    id: 'manuscriptcentral',
+    name: 'Manuscript Central',
+    hosts: ['manuscriptcentral'],
+    runner: 'selenium',
+    keysFile: 'keys/manus_KEYS.txt',
+    chksts: handleManuscriptCentralCHKSTS
+};
@@ -0,0 +1,18 @@
+import { handleOJSCHKSTS } from '../handlers/chkstsHandlers.js';
+
+// Open Journal Systems: one login script and status handler for every OJS journal.
+// Add a journal by listing its host here, or in OJS_HOSTS (comma separated) without a code change.
+export default {
+    id: 'ojs',
+    name: 'Open Journal Systems',
+    hosts: [
+        'periodicos',
+        'tspsubmission',
+        ...(process.env.OJS_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+    ],
+    runner: 'selenium',
+    keysFile: 'portals/ojs_KEYS.txt',
+    // Shown above the login form when OJS rejects the username or password
+    loginErrors: ['Invalid username or password'],
+    chksts: handleOJSCHKSTS
+};
@@ -0,0 +1,10 @@
+import { handleSpringerNatureCHKSTS } from '../handlers/chkstsHandlers.js';
+
+export default {
+    id: 'springernature',
+    name: 'Springer Nature',
+    hosts: ['springernature'],
+    runner: 'selenium',
+    keysFile: 'keys/springer_KEYS.txt',
+    chksts: handleSpringerNatureCHKSTS
+};
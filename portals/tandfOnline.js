@@ -0,0 +1,13 @@
+import { handleTandFOnlineCHKSTS } from '../handlers/chkstsHandlers.js';
+
+// Runs through SeleniumBase, which gets past the portal's bot checks
+export default {
+    id: 'tandfonline',
+    name: 'Taylor & Francis Online',
+    hosts: ['tandfonline'],
+    runner: 'python',
+    script: 'handlers/tandf_handler.py',
+    keysFile: 'keys/taylo_KEYS.txt',
+    keysInstructions: ['TAB', 'SPACE', 'ENTER', 'INPUTUSR', 'INPUTPASS', 'SLEEP', 'SCRNSHT', 'CHKSTS'],  // What tandf_handler.py reads
+    chksts: handleTandFOnlineCHKSTS
+};
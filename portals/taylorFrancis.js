@@ -0,0 +1,10 @@
+import { handleTaylorFrancisCHKSTS } from '../handlers/chkstsHandlers.js';
+
+export default {
+    id: 'taylorfrancis',
+    name: 'Taylor Francis',
+    hosts: ['taylorfrancis'],
+    runner: 'selenium',
+    keysFile: 'keys/taylo_KEYS.txt',
+    chksts: handleTaylorFrancisCHKSTS
+};
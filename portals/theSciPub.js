@@ -0,0 +1,10 @@
+import { handleTheSciPubCHKSTS } from '../handlers/chkstsHandlers.js';
+
+export default {
+    id: 'thescipub',
+    name: 'The SciPub',
+    hosts: ['thescipub'],
+    runner: 'selenium',
+    keysFile: 'keys/thesc_KEYS.txt',
+    chksts: handleTheSciPubCHKSTS
+};
@@ -0,0 +1,13 @@
+import { handleWileyCHKSTS } from '../handlers/chkstsHandlers.js';
+
+// The Python handler always opens the Research Exchange dashboard, so any Wiley link works
+export default {
+    id: 'wiley',
+    name: 'Wiley',
+    hosts: ['wiley'],
+    runner: 'python',
+    script: 'handlers/wiley_handler.py',
+    keysFile: 'keys/wiley_KEYS.txt',
+    keysInstructions: ['TAB', 'SPACE', 'ENTER', 'INPUTUSR', 'INPUTPASS', 'SLEEP', 'SCRNSHT', 'GOTOURL'],  // What wiley_handler.py reads
+    chksts: handleWileyCHKSTS
+};
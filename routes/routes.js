@@ -1,8 +1,14 @@
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/Logger.js';
-import { handleScreenshotRequest, processRows } from '../services/services.js';
+import { handleScreenshotRequest, queueScreenshotRequest, processRows } from '../services/services.js';
 import { uploadService } from '../services/uploadService.js';
+import { jobManager, QueueLimitError } from '../services/jobManager.js';
+import { jobStore } from '../services/jobStore.js';
+import { credentialHealth } from '../services/credentialHealth.js';
+import { portalRegistry } from '../services/portalRegistry.js';
+import { otpBroker } from '../services/otpBroker.js';
 import { supabase } from '../config/supabase.js';
+import { KEYS_FOLDER, validateKeysFolder } from '../utils/keysParser.js';
 
 export function setupRoutes(app, services) {
     // Health check route
@@ -37,6 +43,14 @@ export function setupRoutes(app, services) {
             const from = messageData.from;
             const messageId = messageData.id;
 
+            // A verification code for a journal paused on AWAITOTP; kept out of the request log
+            if (messageData.type === 'text' && !services.processedMessages.has(messageId) &&
+                otpBroker.offer(from, messageData.text.body)) {
+                services.processedMessages.add(messageId);
+                console.log(`Verification code received from ${from}`);
+                return res.sendStatus(200);
+            }
+
             // Start logging request
             await logger.logUserRequest({
                 requestId,
@@ -69,8 +83,8 @@ export function setupRoutes(app, services) {
                             text: { body: `✓ Retrying status check for ${username}...\nProcessing your request...` }
                         });
                         
-                        // Use the same message handling logic
-                        await handleScreenshotRequest(username, from);
+                        // Use the same message handling logic, resending unchanged statuses too
+                        await handleScreenshotRequest(username, from, { sendUnchanged: true });
                         
                     } else {
                         // Handle "No, thanks" response
@@ -250,17 +264,34 @@ export function setupRoutes(app, services) {
                 });
             }
 
-            await handleScreenshotRequest(username, phone_number);
-            res.status(200).json({
-                status: "success",
-                message: "Status check initiated",
+            // Runs in the background; progress and statuses are at GET /jobs/:id.
+            // A check for the same client that is still queued is joined instead.
+            const { job, done, coalesced } = await queueScreenshotRequest(username, phone_number, {
+                requestId: uuidv4(),
+                priority: 'api'
+            });
+            done.catch(error => console.error(`Status check ${job.id} failed:`, error));
+
+            res.status(202).json({
+                status: "accepted",
+                message: coalesced ? "Joined a status check already queued for this client" : "Status check queued",
+                jobId: job.id,
+                statusUrl: `/jobs/${job.id}`,
+                coalesced,
                 details: {
+                    requestId: job.id,
                     username,
                     phone: phone_number,
                     timestamp: new Date().toISOString()
                 }
             });
         } catch (error) {
+            if (error instanceof QueueLimitError) {
+                return res.status(429).json({
+                    error: 'Too many requests in progress',
+                    message: error.message
+                });
+            }
             res.status(500).json({
                 error: 'Status check failed',
                 message: error.message
@@ -280,19 +311,213 @@ export function setupRoutes(app, services) {
                 });
             }
 
-            // Start the automated process
-            const result = await uploadService.automateScreenshotCapture(journalId);
+            // Runs in the background; progress and the uploaded status link are at GET /jobs/:id
+            const { job, done, coalesced } = await uploadService.queueStatusCapture(journalId);
+            done.catch(error => console.error(`Status capture ${job.id} failed:`, error.message));
 
-            res.status(200).json({
-                status: 'success',
-                message: 'Screenshot captured and uploaded successfully',
-                data: result
+            res.status(202).json({
+                status: 'accepted',
+                message: coalesced ? 'Joined a status capture already queued for this journal' : 'Status capture queued',
+                jobId: job.id,
+                statusUrl: `/jobs/${job.id}`,
+                coalesced
             });
 
         } catch (error) {
             console.error('Upload status error:', error);
             res.status(500).json({
                 error: 'Process failed',
+                message: error.message,
+                requestId: error.requestId
+            });
+        }
+    });
+
+    // Job state: status, queue position, per-journal progress and results
+    app.get('/jobs/:id', async (req, res) => {
+        try {
+            const job = jobManager.get(req.params.id);
+            if (job) {
+                return res.status(200).json(jobManager.toJSON(job));
+            }
+
+            // Finished a while ago or before a restart
+            const stored = await jobStore.get(req.params.id);
+            if (!stored) {
+                return res.status(404).json({
+                    error: 'Job not found',
+                    message: `No job with ID ${req.params.id}`
+                });
+            }
+
+            const { payload, whatsappNumber, ...details } = stored;
+            res.status(200).json({ ...details, queuePosition: null, journals: [] });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Job lookup failed',
+                message: error.message
+            });
+        }
+    });
+
+    // Cancel a queued or running job; a running job's browser is quit
+    app.delete('/jobs/:id', async (req, res) => {
+        try {
+            const job = jobManager.get(req.params.id);
+            if (!job) {
+                const stored = await jobStore.get(req.params.id);
+                return res.status(stored ? 409 : 404).json({
+                    error: stored ? 'Job already finished' : 'Job not found',
+                    message: stored
+                        ? `Job ${req.params.id} is ${stored.status}`
+                        : `No job with ID ${req.params.id}`
+                });
+            }
+
+            if (!(await jobManager.cancel(job))) {
+                return res.status(409).json({
+                    error: 'Job cannot be cancelled',
+                    message: `Job ${job.id} is ${job.status}`
+                });
+            }
+
+            res.status(202).json(jobManager.toJSON(job));
+        } catch (error) {
+            res.status(500).json({
+                error: 'Job cancellation failed',
+                message: error.message
+            });
+        }
+    });
+
+    // Execution trace download route
+    app.get('/traces/:requestId', async (req, res) => {
+        try {
+            if (!logger.isValidRequestId(req.params.requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request id',
+                    message: `${req.params.requestId} is not a request id`
+                });
+            }
+
+            const traces = await logger.getTraces(req.params.requestId);
+            if (!traces) {
+                return res.status(404).json({
+                    error: 'Trace not found',
+                    message: `No execution trace recorded for request ${req.params.requestId}`
+                });
+            }
+
+            res.attachment(`trace_${req.params.requestId}.json`);
+            res.status(200).json({
+                requestId: req.params.requestId,
+                request: await logger.getRequestLog(req.params.requestId),
+                journals: traces
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Trace lookup failed',
+                message: error.message
+            });
+        }
+    });
+
+    // Failure screenshot / page HTML captured with a trace
+    app.get('/traces/:requestId/:artifact', async (req, res) => {
+        try {
+            if (!logger.isValidRequestId(req.params.requestId)) {
+                return res.status(400).json({
+                    error: 'Invalid request id',
+                    message: `${req.params.requestId} is not a request id`
+                });
+            }
+
+            const file = await logger.getTraceArtifact(req.params.requestId, req.params.artifact);
+            if (!file) {
+                return res.status(404).json({
+                    error: 'Artifact not found',
+                    message: `No artifact ${req.params.artifact} for request ${req.params.requestId}`
+                });
+            }
+            res.download(file);
+        } catch (error) {
+            res.status(500).json({
+                error: 'Artifact lookup failed',
+                message: error.message
+            });
+        }
+    });
+
+    // Accounts whose saved credentials were rejected: 'invalid' ones are no longer tried,
+    // 'failing' ones have failed logins below the limit
+    app.get('/credentials/broken', async (req, res) => {
+        try {
+            const accounts = (await credentialHealth.listFailing()).map(({ row, health }) => {
+                let portal = null;
+                try {
+                    portal = portalRegistry.resolve(services.decrypt(row.journal_link))?.id || null;
+                } catch (error) {
+                    // Undecryptable link; still list the account
+                }
+                return {
+                    journalId: row.id,
+                    clientName: row.client_name,
+                    personalEmail: row.personal_email,
+                    portal,
+                    status: health.status,
+                    failures: health.failures,
+                    error: health.error,
+                    checkedAt: health.checkedAt
+                };
+            });
+
+            res.status(200).json({
+                failureLimit: credentialHealth.failureLimit,
+                invalid: accounts.filter(account => account.status === 'invalid').length,
+                accounts
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Credential health lookup failed',
+                message: error.message
+            });
+        }
+    });
+
+    // Try an account's logins again, e.g. after the client fixed the password on the portal itself
+    app.post('/credentials/:journalId/reset', async (req, res) => {
+        try {
+            const health = await credentialHealth.reset(req.params.journalId);
+            if (!health) {
+                return res.status(404).json({
+                    error: 'Journal not found',
+                    message: `No journal with ID ${req.params.journalId}`
+                });
+            }
+            res.status(200).json(health);
+        } catch (error) {
+            res.status(500).json({
+                error: 'Credential reset failed',
+                message: error.message
+            });
+        }
+    });
+
+    // KEYS script lint route
+    app.get('/keys/validate', (req, res) => {
+        try {
+            const files = validateKeysFolder(KEYS_FOLDER, portalRegistry.list());
+            const invalid = files.filter(file => !file.valid).length;
+
+            res.status(200).json({
+                status: invalid === 0 ? 'ok' : 'invalid',
+                checked: files.length,
+                invalid,
+                files
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Keys validation failed',
                 message: error.message
             });
         }
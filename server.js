@@ -2,7 +2,13 @@ import express from "express";
 import dotenv from "dotenv";
 import { logger } from './utils/Logger.js';
 import { setupRoutes } from './routes/routes.js';
-import { initializeServices, screenshotManager } from './services/services.js';
+import { initializeServices, screenshotManager, resumeInterruptedJobs } from './services/services.js';
+import { portalRegistry } from './services/portalRegistry.js';
+import { scheduler } from './services/scheduler.js';
+import { browserPool } from './services/browserPool.js';
+import { stopPythonHandlers } from './handlers/pythonBridge.js';
+import { jobStore } from './services/jobStore.js';
+import { durationStats } from './services/durationStats.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,6 +47,19 @@ const services = initializeServices();
 // Initialize screenshot manager
 await screenshotManager.init();
 
+// Load portal modules from portals/
+await portalRegistry.load();
+
+// Typical run durations per portal, for queue wait estimates
+await durationStats.load();
+
+// Start warm browsers for the first requests
+await browserPool.warmUp();
+
+// Open the persistent job queue and pick up requests interrupted by the last shutdown
+await jobStore.init();
+await resumeInterruptedJobs();
+
 // Setup routes
 setupRoutes(app, services);
 
@@ -49,8 +68,11 @@ process.on('exit', () => {
     services.screenshotManager.clearAllScreenshots();
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
+    scheduler.stop();
     services.screenshotManager.clearAllScreenshots();
+    stopPythonHandlers();
+    await browserPool.shutdown();
     process.exit();
 });
 
@@ -62,4 +84,7 @@ setInterval(() => {
 // Start the Express server
 app.listen(port, () => {
     console.log(`Server is running on http://localhost:${port}`);
+
+    // Poll journals in the background and notify clients of status changes
+    scheduler.start();
 });
@@ -0,0 +1,257 @@
+import { Builder } from "selenium-webdriver";
+import chrome from "selenium-webdriver/chrome.js";
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Every pooled browser gets its own throwaway profile under here
+const PROFILE_ROOT = path.join(os.tmpdir(), 'journal-bot-profiles');
+
+// "editorialmanager=1,ojs=3" -> { editorialmanager: 1, ojs: 3 }
+function parsePortalLimits(value) {
+    const limits = {};
+    for (const entry of (value || '').split(',')) {
+        const [portal, limit] = entry.split('=').map(part => part && part.trim());
+        if (portal && Number(limit) > 0) limits[portal] = Number(limit);
+    }
+    return limits;
+}
+
+function loadConfig() {
+    const size = Number(process.env.BROWSER_POOL_SIZE) || 2;
+    return {
+        size,
+        warm: Math.min(Number(process.env.BROWSER_POOL_WARM ?? 1), size),
+        portalConcurrency: Number(process.env.BROWSER_PORTAL_CONCURRENCY) || 1,
+        portalLimits: parsePortalLimits(process.env.BROWSER_PORTAL_LIMITS),
+        leaseMinutes: Number(process.env.BROWSER_LEASE_MINUTES) || 15
+    };
+}
+
+function chromeOptions(profileDir) {
+    const options = new chrome.Options();
+
+    // Updated Chrome options to match Python's SeleniumBase configuration
+    options.addArguments([
+        '--headless=new',  // Use new headless mode
+        '--no-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',   // Disable GPU hardware acceleration
+        '--disable-software-rasterizer',
+        '--disable-extensions',
+        '--disable-notifications',
+        '--window-size=1920,1080',
+        '--force-device-scale-factor=1',
+        '--hide-scrollbars',
+        `--user-data-dir=${profileDir}`
+    ]);
+
+    // Add required preferences
+    options.setUserPreferences({
+        'profile.default_content_setting_values.notifications': 2,
+        'profile.default_content_settings.popups': 0,
+        'download.prompt_for_download': false
+    });
+
+    return options;
+}
+
+export const browserPool = {
+    config: loadConfig(),
+    idle: [],            // warm browsers no job has used yet: { driver, profileDir }
+    starting: 0,         // warm browsers being started in the background
+    closed: false,
+    leases: new Set(),   // jobs holding a slot: { portalId, browser, since, reaped }
+    waiting: [],         // jobs waiting for a slot, in arrival order: { portal, resolve }
+    reaper: null,
+
+    // Start the configured number of browsers ahead of the first job
+    async warmUp() {
+        fs.rmSync(PROFILE_ROOT, { recursive: true, force: true });  // Profiles left by a previous run
+        fs.mkdirSync(PROFILE_ROOT, { recursive: true });
+
+        this.reaper = setInterval(() => this.reapLeaked(), 60 * 1000);
+        this.reaper.unref();
+
+        for (let i = this.idle.length; i < this.config.warm; i++) {
+            try {
+                this.idle.push(await this.createBrowser());
+            } catch (error) {
+                console.error('Failed to warm up a browser:', error.message);
+                break;
+            }
+        }
+        console.log(`Browser pool ready: ${this.idle.length} warm, up to ${this.config.size} in parallel`);
+    },
+
+    async shutdown() {
+        this.closed = true;
+        clearInterval(this.reaper);
+        const browsers = [...this.idle, ...[...this.leases].map(lease => lease.browser).filter(Boolean)];
+        this.idle = [];
+        await Promise.all(browsers.map(browser => this.destroyBrowser(browser)));
+    },
+
+    // Per-portal limit: env override, then the portal module's maxConcurrency, then the default
+    limitFor(portal) {
+        return this.config.portalLimits[portal.id] || portal.maxConcurrency || this.config.portalConcurrency;
+    },
+
+    activeFor(portalId) {
+        let count = 0;
+        for (const lease of this.leases) {
+            if (lease.portalId === portalId) count++;
+        }
+        return count;
+    },
+
+    acquireSlot(portal, signal = null) {
+        return new Promise((resolve, reject) => {
+            signal?.throwIfAborted();
+
+            const waiter = { portal, resolve };
+            this.waiting.push(waiter);
+            signal?.addEventListener('abort', () => {
+                const index = this.waiting.indexOf(waiter);
+                if (index === -1) return;
+                this.waiting.splice(index, 1);
+                reject(signal.reason);
+            }, { once: true });
+
+            this.dispatch();
+        });
+    },
+
+    // Hand free slots to waiting jobs in arrival order, skipping jobs whose portal is at its limit
+    dispatch() {
+        for (let i = 0; i < this.waiting.length && this.leases.size < this.config.size;) {
+            const { portal, resolve } = this.waiting[i];
+            if (this.activeFor(portal.id) >= this.limitFor(portal)) {
+                i++;
+                continue;
+            }
+
+            this.waiting.splice(i, 1);
+            const lease = { portalId: portal.id, browser: null, since: Date.now(), reaped: false, cancelled: false };
+            this.leases.add(lease);
+            resolve(lease);
+        }
+    },
+
+    releaseSlot(lease) {
+        this.leases.delete(lease);
+        this.dispatch();
+    },
+
+    async createBrowser() {
+        fs.mkdirSync(PROFILE_ROOT, { recursive: true });
+        const profileDir = fs.mkdtempSync(path.join(PROFILE_ROOT, 'chrome-'));
+
+        try {
+            const driver = await new Builder()
+                .forBrowser('chrome')
+                .setChromeOptions(chromeOptions(profileDir))
+                .build();
+            return { driver, profileDir };
+        } catch (error) {
+            fs.rmSync(profileDir, { recursive: true, force: true });
+            throw error;
+        }
+    },
+
+    async destroyBrowser(browser) {
+        try {
+            await browser.driver.quit();
+        } catch (error) {
+            // Already crashed or quit
+        }
+        fs.rmSync(browser.profileDir, { recursive: true, force: true });
+    },
+
+    async isAlive(browser) {
+        try {
+            await browser.driver.getTitle();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // An unused warm browser when one is healthy, otherwise a new one
+    async checkout() {
+        while (this.idle.length > 0) {
+            const browser = this.idle.shift();
+            if (await this.isAlive(browser)) return browser;
+
+            console.log('Discarding crashed browser from the pool');
+            await this.destroyBrowser(browser);
+        }
+        return this.createBrowser();
+    },
+
+    // Start browsers in the background until `warm` unused ones are ready again
+    refill() {
+        while (!this.closed && this.idle.length + this.starting < this.config.warm) {
+            this.starting++;
+            this.createBrowser()
+                .then(browser => this.closed ? this.destroyBrowser(browser) : this.idle.push(browser))
+                .catch(error => console.error('Failed to start a warm browser:', error.message))
+                .finally(() => this.starting--);
+        }
+    },
+
+    // Quit browsers held past the lease limit (hung or leaked jobs); the job then fails on its next command
+    async reapLeaked() {
+        const limit = this.config.leaseMinutes * 60 * 1000;
+        for (const lease of this.leases) {
+            if (!lease.browser || lease.reaped || Date.now() - lease.since < limit) continue;
+
+            console.error(`Recycling browser held by a ${lease.portalId} job for over ${this.config.leaseMinutes} minutes`);
+            lease.reaped = true;
+            this.releaseSlot(lease);
+            await this.destroyBrowser(lease.browser);
+        }
+    },
+
+    // Run a job in a pooled browser once a global and per-portal slot is free.
+    // With driver: false the job only holds a slot (for portals that start their own browser).
+    // Aborting the signal quits the job's browser, so the job fails on its next command.
+    async run(portal, job, { driver = true, signal = null } = {}) {
+        const lease = await this.acquireSlot(portal, signal);
+
+        const onAbort = () => {
+            if (!lease.browser || lease.cancelled) return;
+            lease.cancelled = true;
+            this.destroyBrowser(lease.browser);
+        };
+
+        try {
+            if (!driver) return await job();
+
+            lease.browser = await this.checkout();
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            if (signal?.aborted) onAbort();
+            return await job(lease.browser.driver);
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            // A browser serves one job: its profile (cookies, cache, localStorage and IndexedDB of
+            // every origin the job went through) is deleted with it, so the next job, possibly
+            // another client's, starts in a clean profile
+            if (!lease.reaped) {
+                if (lease.browser && !lease.cancelled) await this.destroyBrowser(lease.browser);
+                this.releaseSlot(lease);
+            }
+            if (lease.browser) this.refill();
+        }
+    },
+
+    stats() {
+        return {
+            size: this.config.size,
+            idle: this.idle.length,
+            active: this.leases.size,
+            waiting: this.waiting.length
+        };
+    }
+};
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sendWhatsAppMessage, sendWhatsAppImage } from './services.js';
+import { JournalError } from '../utils/JournalError.js';
+
+// How long a portal is left alone after serving a CAPTCHA; portals may set captchaCooldownMinutes
+const CAPTCHA_COOLDOWN_MINUTES = Number(process.env.CAPTCHA_COOLDOWN_MINUTES) || 60;
+
+// Operators told about every CAPTCHA (comma separated WhatsApp numbers)
+const OPERATOR_NUMBERS = (process.env.OPERATOR_WHATSAPP_NUMBER || '')
+    .split(',')
+    .map(number => number.trim())
+    .filter(Boolean);
+
+// Backs off portals that served a bot check, so retrying does not get the server's IP flagged
+// harder, and shows operators the challenge. Cool-downs live in memory and end on a restart.
+export const captchaGuard = {
+    cooldowns: new Map(),  // portal id -> { until, reason }
+
+    cooldownMinutes(portal) {
+        return portal.captchaCooldownMinutes || CAPTCHA_COOLDOWN_MINUTES;
+    },
+
+    // The portal's running cool-down, or null
+    cooldownFor(portalId) {
+        const cooldown = this.cooldowns.get(portalId);
+        if (cooldown && cooldown.until <= Date.now()) {
+            this.cooldowns.delete(portalId);
+            return null;
+        }
+        return cooldown || null;
+    },
+
+    // Failure for a journal that is not run because its portal is cooling down
+    cooldownError(portal, cooldown) {
+        return new JournalError('CAPTCHA',
+            `${portal.name} is backed off after a CAPTCHA until ${new Date(cooldown.until).toISOString()} (${cooldown.reason})`);
+    },
+
+    // A journal hit a bot check: start the portal's cool-down and, if it was not already
+    // cooling down, send operators the failure and its screenshot (base64 PNG, when captured)
+    async report(portal, failure, { journal = null, screenshot = null } = {}) {
+        const running = this.cooldownFor(portal.id);
+        const minutes = this.cooldownMinutes(portal);
+        this.cooldowns.set(portal.id, { until: Date.now() + minutes * 60 * 1000, reason: failure.message });
+        console.error(`CAPTCHA on ${portal.name}, backing off for ${minutes} minute(s): ${failure.message}`);
+
+        if (!running) {
+            await this.notifyOperators(portal, failure, { journal, screenshot, minutes });
+        }
+    },
+
+    async notifyOperators(portal, failure, { journal, screenshot, minutes }) {
+        if (OPERATOR_NUMBERS.length === 0) return;
+
+        let screenshotPath = null;
+        if (screenshot) {
+            screenshotPath = path.join(os.tmpdir(), `captcha_${portal.id}_${Date.now()}.png`);
+            fs.writeFileSync(screenshotPath, screenshot, 'base64');
+        }
+
+        try {
+            for (const number of OPERATOR_NUMBERS) {
+                try {
+                    await sendWhatsAppMessage(number, {
+                        messaging_product: "whatsapp",
+                        to: number,
+                        type: "text",
+                        text: {
+                            body: `🤖 CAPTCHA on ${portal.name}${journal ? ` (journal ${journal})` : ''}: ${failure.message}\n` +
+                                  `Checks on this portal are paused for ${minutes} minute(s).`
+                        }
+                    });
+                    if (screenshotPath) await sendWhatsAppImage(number, screenshotPath, '');
+                } catch (error) {
+                    console.error(`Failed to notify operator ${number} about a CAPTCHA:`, error.message);
+                }
+            }
+        } finally {
+            if (screenshotPath) fs.rmSync(screenshotPath, { force: true });
+        }
+    }
+};
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { dbService } from './dbService.js';
+import { JournalError } from '../utils/JournalError.js';
+
+// Rejected logins in a row before an account is marked invalid and no longer tried.
+// Portals lock accounts after a few bad passwords, so keep this low.
+const CREDENTIAL_FAILURE_LIMIT = Number(process.env.CREDENTIAL_FAILURE_LIMIT) || 2;
+
+// Short hash of the stored (encrypted) username and password, so a recorded state only applies
+// to the credentials it was recorded against
+function credentialFingerprint(row) {
+    return crypto.createHash('sha256')
+        .update(`${row.username || ''}:${row.password || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Whether a journal_data row's credentials still work. Failed logins are counted per account;
+// once they reach the limit the account is 'invalid' and skipped until its credentials change
+// or an operator resets it.
+export const credentialHealth = {
+    failureLimit: CREDENTIAL_FAILURE_LIMIT,
+
+    // Row (with username, password and the credential_* columns) -> health. A state recorded
+    // against different credentials no longer counts, so updating the password clears it.
+    fromRow(row) {
+        const fingerprint = credentialFingerprint(row);
+        const current = row.credential_fingerprint === fingerprint;
+        return {
+            journalId: row.id,
+            status: current && row.credential_status || 'unknown',
+            failures: current ? row.credential_failures || 0 : 0,
+            error: current ? row.credential_error || null : null,
+            checkedAt: current ? row.credential_checked_at || null : null,
+            fingerprint
+        };
+    },
+
+    // Health for a journal; null when it cannot be read, so checks still run
+    async get(journalId) {
+        try {
+            return this.fromRow(await dbService.getCredentialHealth(journalId));
+        } catch (error) {
+            console.error(`Could not read credential health for journal ${journalId}:`, error.message);
+            return null;
+        }
+    },
+
+    isBlocked(health) {
+        return health?.status === 'invalid';
+    },
+
+    // Failure for a journal that is not tried because its credentials are invalid
+    blockedError(health) {
+        return new JournalError('LOGIN_FAILED',
+            `Login not attempted: credentials marked invalid after ${health.failures} failed login(s) (${health.error})`);
+    },
+
+    async recordSuccess(health) {
+        if (!health) return;
+        await this.save(health, { status: 'ok', failures: 0, error: null });
+    },
+
+    async recordFailure(health, failure) {
+        if (!health) return;
+        const failures = health.failures + 1;
+        const status = failures >= this.failureLimit ? 'invalid' : 'failing';
+        await this.save(health, { status, failures, error: failure.message });
+
+        if (status === 'invalid') {
+            console.error(`Journal ${health.journalId}: credentials marked invalid after ${failures} failed login(s), no further attempts`);
+        }
+    },
+
+    async reset(journalId) {
+        const health = await this.get(journalId);
+        if (!health) return null;
+        return this.save(health, { status: 'unknown', failures: 0, error: null });
+    },
+
+    async save(health, changes) {
+        const updated = { ...health, ...changes, checkedAt: new Date().toISOString() };
+        try {
+            await dbService.saveCredentialHealth(health.journalId, updated);
+        } catch (error) {
+            console.error(`Could not save credential health for journal ${health.journalId}:`, error.message);
+        }
+        return updated;
+    },
+
+    // Accounts whose current credentials were rejected, for operators
+    async listFailing() {
+        const rows = await dbService.getFailingCredentials();
+        return rows
+            .map(row => ({ row, health: this.fromRow(row) }))
+            .filter(({ health }) => health.status === 'failing' || health.status === 'invalid');
+    }
+};
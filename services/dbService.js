@@ -1,5 +1,7 @@
 import { supabase } from '../config/supabase.js';
 
+const CREDENTIAL_HEALTH_COLUMNS = 'id, username, password, credential_status, credential_failures, credential_error, credential_checked_at, credential_fingerprint';
+
 export const dbService = {
     async logFeedback(feedbackData) {
         try {
@@ -111,6 +113,214 @@ export const dbService = {
         }
     },
 
+    async saveStatusRecords(journalId, portal, records) {
+        try {
+            // One snapshot per check, all rows share the same checked_at
+            const checkedAt = new Date().toISOString();
+            const { data, error } = await supabase
+                .from('journal_statuses')
+                .insert(records.map(record => ({
+                    journal_id: journalId,
+                    portal,
+                    folder: record.folder,
+                    manuscript_number: record.manuscriptNumber,
+                    title: record.title,
+                    status: record.status,
+                    status_date: record.statusDate,
+                    checked_at: checkedAt
+                })));
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            // Status history must never fail the journal run itself
+            console.error('Error saving status records:', error);
+            return null;
+        }
+    },
+
+    async getLatestStatusRecords(journalId) {
+        try {
+            const { data: latest, error: latestError } = await supabase
+                .from('journal_statuses')
+                .select('checked_at')
+                .eq('journal_id', journalId)
+                .order('checked_at', { ascending: false })
+                .limit(1);
+
+            if (latestError) throw latestError;
+            if (!latest || latest.length === 0) return [];
+
+            const { data, error } = await supabase
+                .from('journal_statuses')
+                .select('*')
+                .eq('journal_id', journalId)
+                .eq('checked_at', latest[0].checked_at);
+
+            if (error) throw error;
+            return data.map(row => ({
+                manuscriptNumber: row.manuscript_number,
+                title: row.title,
+                status: row.status,
+                statusDate: row.status_date,
+                folder: row.folder,
+                portal: row.portal,
+                checkedAt: row.checked_at
+            }));
+        } catch (error) {
+            console.error('Error getting latest status records:', error);
+            throw error;
+        }
+    },
+
+    async getLastStatus(journalId) {
+        try {
+            const { data, error } = await supabase
+                .from('journal_data')
+                .select('last_status')
+                .eq('id', journalId)
+                .single();
+
+            if (error) throw error;
+            return data?.last_status || null;
+        } catch (error) {
+            console.error('Error getting last status:', error);
+            throw error;
+        }
+    },
+
+    async saveLastStatus(journalId, snapshot) {
+        try {
+            const { data, error } = await supabase
+                .from('journal_data')
+                .update({
+                    last_status: snapshot,
+                    last_checked_at: snapshot.checkedAt
+                })
+                .eq('id', journalId);
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error saving last status:', error);
+            throw error;
+        }
+    },
+
+    // Remember the client's WhatsApp number so background checks can notify them
+    async saveWhatsAppNumber(journalIds, whatsappNumber) {
+        try {
+            const { error } = await supabase
+                .from('journal_data')
+                .update({ whatsapp_number: whatsappNumber })
+                .in('id', journalIds);
+
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error saving WhatsApp number:', error);
+        }
+    },
+
+    // Credential health of a journal_data row, with the encrypted credentials it was recorded against
+    async getCredentialHealth(journalId) {
+        try {
+            const { data, error } = await supabase
+                .from('journal_data')
+                .select(CREDENTIAL_HEALTH_COLUMNS)
+                .eq('id', journalId)
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error getting credential health:', error);
+            throw error;
+        }
+    },
+
+    async saveCredentialHealth(journalId, health) {
+        try {
+            const { error } = await supabase
+                .from('journal_data')
+                .update({
+                    credential_status: health.status,
+                    credential_failures: health.failures,
+                    credential_error: health.error,
+                    credential_checked_at: health.checkedAt,
+                    credential_fingerprint: health.fingerprint
+                })
+                .eq('id', journalId);
+
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error saving credential health:', error);
+            throw error;
+        }
+    },
+
+    // Encrypted browser session saved for an account (see sessionStore)
+    async getSessionState(journalId) {
+        try {
+            const { data, error } = await supabase
+                .from('journal_data')
+                .select('session_state, session_saved_at')
+                .eq('id', journalId)
+                .single();
+
+            if (error) throw error;
+            return data && { state: data.session_state, savedAt: data.session_saved_at };
+        } catch (error) {
+            console.error('Error getting session state:', error);
+            throw error;
+        }
+    },
+
+    // When the scheduler last started a check of the journal, whether or not it succeeded
+    async saveLastAttempt(journalId, attemptedAt) {
+        try {
+            const { error } = await supabase
+                .from('journal_data')
+                .update({ last_attempted_at: attemptedAt })
+                .eq('id', journalId);
+
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error saving last attempt:', error);
+            throw error;
+        }
+    },
+
+    async saveSessionState(journalId, state, savedAt) {
+        try {
+            const { error } = await supabase
+                .from('journal_data')
+                .update({ session_state: state, session_saved_at: savedAt })
+                .eq('id', journalId);
+
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error saving session state:', error);
+            throw error;
+        }
+    },
+
+    // Rows whose last logins failed, newest failure first
+    async getFailingCredentials() {
+        try {
+            const { data, error } = await supabase
+                .from('journal_data')
+                .select(`${CREDENTIAL_HEALTH_COLUMNS}, client_name, personal_email, journal_link`)
+                .in('credential_status', ['failing', 'invalid'])
+                .order('credential_checked_at', { ascending: false });
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error getting failing credentials:', error);
+            throw error;
+        }
+    },
+
     async getSystemStats(days = 30) {
         try {
             const startDate = new Date();
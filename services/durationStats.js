@@ -0,0 +1,68 @@
+import { logger } from '../utils/Logger.js';
+import { portalRegistry } from './portalRegistry.js';
+
+// Recent runs kept per portal; the estimate is their median
+const MAX_SAMPLES = 20;
+
+// Used until a portal (or any request) has a completed run on record
+const DEFAULT_JOURNAL_SECONDS = 90;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function pushSample(list, seconds) {
+    list.push(seconds);
+    if (list.length > MAX_SAMPLES) list.shift();
+}
+
+// Typical run durations, seeded from the request logs (this year and last) and kept current
+// as journals finish. Feeds the queue wait estimates sent to clients.
+export const durationStats = {
+    portals: new Map(),  // portal id -> seconds per completed journal run
+    requests: [],        // seconds per completed WhatsApp request
+
+    async load() {
+        const year = new Date().getFullYear();
+        const logs = [...await logger.getRequestLogs(year - 1), ...await logger.getRequestLogs(year)];
+
+        for (const log of logs) {
+            if (log.status === 'completed' && log.totalDuration > 0 && log.whatsappNumber) {
+                pushSample(this.requests, log.totalDuration);
+            }
+            for (const journal of log.journals || []) {
+                if (journal.status !== 'completed' || !(journal.timeTaken > 0)) continue;
+
+                // Entries written before portals were logged only have the journal link
+                const portal = journal.portal || portalRegistry.resolve(journal.url)?.id;
+                if (portal) this.record(portal, journal.timeTaken);
+            }
+        }
+        console.log(`Duration stats loaded: ${this.portals.size} portals, ${this.requests.length} requests`);
+    },
+
+    record(portalId, seconds) {
+        if (!this.portals.has(portalId)) this.portals.set(portalId, []);
+        pushSample(this.portals.get(portalId), seconds);
+    },
+
+    recordRequest(seconds) {
+        pushSample(this.requests, seconds);
+    },
+
+    // Expected seconds for one journal on a portal (any portal when unknown)
+    journalSeconds(portalId = null) {
+        const samples = portalId && this.portals.get(portalId);
+        if (samples && samples.length > 0) return median(samples);
+
+        return median([...this.portals.values()].flat()) || DEFAULT_JOURNAL_SECONDS;
+    },
+
+    // Expected seconds for a WhatsApp request whose journals are not looked up yet
+    requestSeconds() {
+        return median(this.requests) || this.journalSeconds();
+    }
+};
@@ -0,0 +1,255 @@
+import { jobStore } from './jobStore.js';
+import { durationStats } from './durationStats.js';
+
+// Finished jobs stay in memory this long for GET /jobs/:id; later lookups come from the job store
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+// Priority classes: interactive WhatsApp requests first, then API calls, then background polling
+export const JOB_PRIORITIES = { interactive: 2, api: 1, background: 0 };
+
+// Journal status for a failure: 'error', except for codes that get their own (timeouts, bot checks)
+const FAILURE_OUTCOMES = { TIMEOUT: 'timeout', CAPTCHA: 'captcha' };
+
+export function failureOutcome(error) {
+    return FAILURE_OUTCOMES[error.code] || 'error';
+}
+
+export class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} was cancelled`);
+        this.name = 'JobCancelledError';
+    }
+}
+
+// A requester already has as many jobs queued or running as they are allowed
+export class QueueLimitError extends Error {
+    constructor(requester, limit) {
+        super(`${requester} already has ${limit} request(s) in progress`);
+        this.name = 'QueueLimitError';
+        this.limit = limit;
+    }
+}
+
+// Live state of queued and running jobs (WhatsApp requests and journal status captures):
+// per-journal progress, results and cancellation. Every change is mirrored to the job store.
+export const jobManager = {
+    jobs: new Map(),
+    concurrency: 1,   // jobs run at once; set by the request queue's owner
+    sequence: 0,      // arrival order among jobs of the same priority
+    maxPendingPerRequester: Number(process.env.MAX_PENDING_PER_REQUESTER) || 2,
+
+    // Register a job before it is queued. The job is visible to get() as soon as this is called,
+    // and findQueued() can hand it to a duplicate request before it is persisted: its `done`
+    // promise exists from the start and follows the queued task once queue() is called.
+    // requester: who gets the results (a WhatsApp number), null for API and background jobs
+    async create({ id, type, subject, payload, whatsappNumber = null, requester = whatsappNumber, priority = 'api' }) {
+        const job = {
+            id,
+            type,
+            subject,
+            payload,
+            priority,
+            sequence: this.sequence++,
+            requesters: requester ? [requester] : [],
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            journals: [],
+            result: null,
+            error: null,
+            errorCode: null,
+            controller: new AbortController()
+        };
+        job.done = new Promise(resolve => { job.settleDone = resolve; });
+        this.jobs.delete(id);  // A resumed job goes to the back of the queue
+        this.jobs.set(id, job);
+
+        await jobStore.add({ id, type, payload, whatsappNumber });
+        return job;
+    },
+
+    // Hand the job's task to the queue; `done` settles as the returned promise does
+    queue(job, task) {
+        job.settleDone(task);
+        return job.done;
+    },
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    },
+
+    // A queued job for the same work, which a duplicate request can join instead of queueing again
+    findQueued(type, subject) {
+        for (const job of this.jobs.values()) {
+            if (job.type === type && job.subject === subject && job.status === 'queued') return job;
+        }
+        return null;
+    },
+
+    // Add a requester to a queued job; they get the same results
+    async join(job, requester) {
+        if (!requester || job.requesters.includes(requester)) return;
+        job.requesters.push(requester);
+        if (job.payload) {
+            job.payload.requesters = job.requesters;
+            await jobStore.updatePayload(job.id, job.payload);
+        }
+    },
+
+    // Move a joined job up to the joining request's priority class, behind the jobs already
+    // in it (as the request queue does); true when it changed
+    raisePriority(job, priority) {
+        if (JOB_PRIORITIES[priority] <= JOB_PRIORITIES[job.priority]) return false;
+        job.priority = priority;
+        job.sequence = this.sequence++;
+        return true;
+    },
+
+    // Check a new request against the per-requester cap of queued and running jobs
+    checkLimit(requester) {
+        if (!requester) return;
+
+        let pending = 0;
+        for (const job of this.jobs.values()) {
+            if ((job.status === 'queued' || job.status === 'running') && job.requesters.includes(requester)) pending++;
+        }
+        if (pending >= this.maxPendingPerRequester) {
+            throw new QueueLimitError(requester, this.maxPendingPerRequester);
+        }
+    },
+
+    // Whether queued job `other` runs before `job`: higher priority class first, then arrival order
+    isAhead(other, job) {
+        const difference = JOB_PRIORITIES[other.priority] - JOB_PRIORITIES[job.priority];
+        return difference > 0 || (difference === 0 && other.sequence < job.sequence);
+    },
+
+    async start(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        await jobStore.markRunning(job.id);
+    },
+
+    setJournals(job, journals) {
+        job.journals = journals.map(journal => ({
+            status: 'pending',
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            ...journal
+        }));
+    },
+
+    updateJournal(job, index, fields) {
+        const journal = Object.assign(job.journals[index], fields);
+
+        // Completed runs refine the wait estimates for later jobs
+        if (fields.status === 'completed' && journal.portal && journal.startedAt) {
+            const seconds = (Date.parse(journal.finishedAt || new Date().toISOString()) - Date.parse(journal.startedAt)) / 1000;
+            durationStats.record(journal.portal, Math.round(seconds));
+        }
+    },
+
+    async finish(job, { result = null, error = null } = {}) {
+        if (job.finishedAt) return;
+
+        job.finishedAt = new Date().toISOString();
+        if (job.controller.signal.aborted) {
+            job.status = 'cancelled';
+            job.error = 'Cancelled';
+        } else if (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            job.errorCode = error.code || null;
+        } else {
+            job.status = 'completed';
+            job.result = result;
+        }
+
+        await jobStore.finish(job.id, { status: job.status, error: job.error, result: job.result });
+        setTimeout(() => {
+            if (this.jobs.get(job.id) === job) this.jobs.delete(job.id);
+        }, FINISHED_JOB_TTL).unref();
+    },
+
+    // Cancel a queued or running job. A queued job is finished at once; a running one stops at its
+    // next step, its browser is quit, and it is finished when the run unwinds.
+    async cancel(job) {
+        if (job.status !== 'queued' && job.status !== 'running') return false;
+
+        const wasQueued = job.status === 'queued';
+        job.controller.abort(new JobCancelledError(job.id));
+        if (wasQueued) {
+            await this.finish(job);
+        } else {
+            job.status = 'cancelling';
+        }
+        return true;
+    },
+
+    // 1-based position among queued jobs, null once the job has started
+    queuePosition(job) {
+        if (job.status !== 'queued') return null;
+
+        let position = 1;
+        for (const other of this.jobs.values()) {
+            if (other.status === 'queued' && this.isAhead(other, job)) position++;
+        }
+        return position;
+    },
+
+    // Expected seconds until a job is done, from typical run durations of its portals.
+    // Journals are only known once a job starts; before that the job counts as one typical request.
+    remainingSeconds(job) {
+        if (job.journals.length === 0) {
+            return job.type === 'whatsapp' ? durationStats.requestSeconds() : durationStats.journalSeconds();
+        }
+
+        let seconds = 0;
+        for (const journal of job.journals) {
+            if (journal.status === 'pending') {
+                seconds += durationStats.journalSeconds(journal.portal);
+            } else if (journal.status === 'running') {
+                const elapsed = (Date.now() - Date.parse(journal.startedAt)) / 1000;
+                seconds += Math.max(durationStats.journalSeconds(journal.portal) - elapsed, 0);
+            }
+        }
+        return seconds;
+    },
+
+    // Jobs a queued job waits behind (all running ones plus queued ones ahead of it), and the expected
+    // seconds until it starts with `concurrency` jobs running side by side. Null once it has started.
+    estimateWait(job) {
+        if (job.status !== 'queued') return null;
+
+        let ahead = 0;
+        let seconds = 0;
+        for (const other of this.jobs.values()) {
+            if (other.status === 'running' || (other.status === 'queued' && this.isAhead(other, job))) {
+                ahead++;
+                seconds += this.remainingSeconds(other);
+            }
+        }
+        return { ahead, seconds: Math.round(seconds / this.concurrency) };
+    },
+
+    toJSON(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            subject: job.subject,
+            priority: job.priority,
+            status: job.status,
+            queuePosition: this.queuePosition(job),
+            estimatedWaitSeconds: this.estimateWait(job)?.seconds ?? null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            journals: job.journals,
+            result: job.result,
+            error: job.error,
+            errorCode: job.errorCode
+        };
+    }
+};
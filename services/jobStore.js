@@ -0,0 +1,153 @@
+import sqlite3 from 'sqlite3';
+import path from 'path';
+
+// Jobs that have not finished when the server stops
+const OPEN_STATUSES = ['queued', 'running'];
+
+// Finished jobs are kept this long for inspection
+const RETENTION_DAYS = 30;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        whatsapp_number TEXT,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        result TEXT,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT
+    )
+`;
+
+function toJob(row) {
+    return row && {
+        id: row.id,
+        type: row.type,
+        payload: JSON.parse(row.payload),
+        whatsappNumber: row.whatsapp_number,
+        status: row.status,
+        attempts: row.attempts,
+        error: row.error,
+        result: row.result ? JSON.parse(row.result) : null,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+// Queued and in-flight jobs in a local SQLite database (DB_PATH), so a restart does not lose them.
+// Until init() has run every method is a no-op, and storage errors are logged, never thrown:
+// losing the record of a job must not fail the job itself.
+export const jobStore = {
+    db: null,
+
+    async init(dbPath = process.env.DB_PATH || path.join(process.cwd(), 'journal_db.db')) {
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const db = new sqlite3.Database(dbPath, error => (error ? reject(error) : resolve(db)));
+            });
+            await this.run(SCHEMA);
+            await this.addMissingColumn('result', 'TEXT');
+            await this.run(`CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status, created_at)`);
+            await this.run(
+                `DELETE FROM jobs WHERE status NOT IN (${OPEN_STATUSES.map(() => '?').join(', ')}) AND created_at < ?`,
+                [...OPEN_STATUSES, new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()]
+            );
+            console.log(`Job store ready: ${dbPath}`);
+        } catch (error) {
+            this.db = null;
+            console.error('Failed to open job store, jobs will not survive a restart:', error.message);
+        }
+    },
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                if (error) reject(error);
+                else resolve(this);
+            });
+        });
+    },
+
+    // Columns added after the table was first created
+    async addMissingColumn(name, type) {
+        const columns = await this.all(`PRAGMA table_info(jobs)`);
+        if (!columns.some(column => column.name === name)) {
+            await this.run(`ALTER TABLE jobs ADD COLUMN ${name} ${type}`);
+        }
+    },
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+        });
+    },
+
+    async write(description, sql, params) {
+        if (!this.db) return;
+        try {
+            await this.run(sql, params);
+        } catch (error) {
+            console.error(`Job store: failed to ${description}:`, error.message);
+        }
+    },
+
+    // Record a new job, or put a resumed one back in the queue
+    add({ id, type, payload, whatsappNumber = null }) {
+        return this.write('add job', `
+            INSERT INTO jobs (id, type, payload, whatsapp_number, status, created_at)
+            VALUES (?, ?, ?, ?, 'queued', ?)
+            ON CONFLICT (id) DO UPDATE SET status = 'queued', error = NULL, result = NULL, finished_at = NULL
+        `, [id, type, JSON.stringify(payload), whatsappNumber, new Date().toISOString()]);
+    },
+
+    // Payload of a queued job that another request joined
+    updatePayload(id, payload) {
+        return this.write('update job payload', `
+            UPDATE jobs SET payload = ? WHERE id = ?
+        `, [JSON.stringify(payload), id]);
+    },
+
+    markRunning(id) {
+        return this.write('mark job running', `
+            UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ? WHERE id = ?
+        `, [new Date().toISOString(), id]);
+    },
+
+    // status: completed, failed or cancelled
+    finish(id, { status, error = null, result = null }) {
+        return this.write('finish job', `
+            UPDATE jobs SET status = ?, error = ?, result = ?, finished_at = ? WHERE id = ?
+        `, [status, error, result ? JSON.stringify(result) : null, new Date().toISOString(), id]);
+    },
+
+    async get(id) {
+        if (!this.db) return null;
+        try {
+            const [row] = await this.all(`SELECT * FROM jobs WHERE id = ?`, [id]);
+            return toJob(row) || null;
+        } catch (error) {
+            console.error(`Job store: failed to read job ${id}:`, error.message);
+            return null;
+        }
+    },
+
+    // Jobs left queued or running by the previous server process, oldest first
+    async interrupted() {
+        if (!this.db) return [];
+        try {
+            const rows = await this.all(
+                `SELECT * FROM jobs WHERE status IN (${OPEN_STATUSES.map(() => '?').join(', ')}) ORDER BY created_at`,
+                OPEN_STATUSES
+            );
+            return rows.map(toJob);
+        } catch (error) {
+            console.error('Job store: failed to read interrupted jobs:', error.message);
+            return [];
+        }
+    }
+};
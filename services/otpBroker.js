@@ -0,0 +1,73 @@
+import { JournalError } from '../utils/JournalError.js';
+
+// How long AWAITOTP waits for the client's reply when the script gives no timeout
+export const OTP_TIMEOUT_SECONDS = Number(process.env.OTP_TIMEOUT_SECONDS) || 300;
+
+// The code in a client's reply: the whole message when it looks like a code ("482 913", "AB12CD"),
+// otherwise the first 4-8 digit number in it ("the code is 482913")
+export function extractCode(text) {
+    const compact = (text || '').trim().replace(/[\s-]/g, '');
+    if (/^[A-Za-z0-9]{4,10}$/.test(compact) && /\d/.test(compact)) return compact;
+
+    const digits = (text || '').match(/\b\d{4,8}\b/);
+    return digits ? digits[0] : null;
+}
+
+// Journals paused on a verification code, waiting for the client to send it on WhatsApp.
+// The webhook offers every text message here first; a reply holding a code goes to the
+// oldest journal waiting on that number instead of starting a new request.
+export const otpBroker = {
+    waiting: new Map(),  // WhatsApp number -> [{ resolve, reject, timer }] in arrival order
+
+    // Resolves with the code, or rejects with OTP_REQUIRED when no reply comes in time
+    request(whatsappNumber, { label, seconds = OTP_TIMEOUT_SECONDS, signal = null }) {
+        return new Promise((resolve, reject) => {
+            signal?.throwIfAborted();
+
+            const waiter = { resolve, reject, timer: null };
+            const settle = () => {
+                clearTimeout(waiter.timer);
+                signal?.removeEventListener('abort', onAbort);
+                this.remove(whatsappNumber, waiter);
+            };
+            const onAbort = () => {
+                settle();
+                reject(signal.reason);
+            };
+
+            waiter.resolve = code => {
+                settle();
+                resolve(code);
+            };
+            waiter.timer = setTimeout(() => {
+                settle();
+                reject(new JournalError('OTP_REQUIRED', `No verification code received for ${label} within ${seconds}s`));
+            }, seconds * 1000);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            if (!this.waiting.has(whatsappNumber)) this.waiting.set(whatsappNumber, []);
+            this.waiting.get(whatsappNumber).push(waiter);
+        });
+    },
+
+    remove(whatsappNumber, waiter) {
+        const waiters = this.waiting.get(whatsappNumber) || [];
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        if (waiters.length === 0) this.waiting.delete(whatsappNumber);
+    },
+
+    isWaiting(whatsappNumber) {
+        return this.waiting.has(whatsappNumber);
+    },
+
+    // Hand a client's message to a waiting journal; false when nobody waits or it holds no code
+    offer(whatsappNumber, text) {
+        const [waiter] = this.waiting.get(whatsappNumber) || [];
+        const code = waiter && extractCode(text);
+        if (!code) return false;
+
+        waiter.resolve(code);
+        return true;
+    }
+};
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { PYTHON_INSTRUCTIONS } from '../utils/keysParser.js';
+
+// Runners a portal module can ask for
+const RUNNERS = new Set(['selenium', 'python']);
+
+// Check a portal module's declaration before registering it
+function validatePortal(portal, file) {
+    const problems = [];
+
+    if (!portal || typeof portal !== 'object') {
+        throw new Error(`Portal module ${file} must export a portal object as default`);
+    }
+    if (!portal.id) problems.push('id is required');
+    if (!Array.isArray(portal.hosts) || portal.hosts.length === 0) {
+        problems.push('hosts must list at least one URL pattern');
+    }
+    if (!RUNNERS.has(portal.runner)) {
+        problems.push(`runner must be one of: ${[...RUNNERS].join(', ')}`);
+    }
+    if (portal.runner === 'selenium' && !portal.keysFile) problems.push('selenium portals need a keysFile');
+    if (portal.runner === 'python' && !portal.script) problems.push('python portals need a script');
+    if (portal.keysInstructions && (portal.runner !== 'python' || !Array.isArray(portal.keysInstructions) ||
+        !portal.keysInstructions.every(name => PYTHON_INSTRUCTIONS.includes(name)))) {
+        problems.push(`keysInstructions is for python portals and must list instructions from: ${PYTHON_INSTRUCTIONS.join(', ')}`);
+    }
+    if (portal.chksts && typeof portal.chksts !== 'function') problems.push('chksts must be a function');
+    if (portal.loginErrors && (!Array.isArray(portal.loginErrors) ||
+        !portal.loginErrors.every(marker => typeof marker === 'string' || marker instanceof RegExp))) {
+        problems.push('loginErrors must list strings or RegExps');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid portal module ${file}: ${problems.join('; ')}`);
+    }
+}
+
+// Length of the longest host pattern matching the URL, 0 when none match
+function matchStrength(portal, url) {
+    let best = 0;
+    for (const pattern of portal.hosts) {
+        if (pattern instanceof RegExp) {
+            const match = url.match(pattern);
+            if (match) best = Math.max(best, match[0].length);
+        } else if (url.includes(pattern.toLowerCase())) {
+            best = Math.max(best, pattern.length);
+        }
+    }
+    return best;
+}
+
+export const portalRegistry = {
+    folder: path.join(process.cwd(), 'portals'),
+    portals: new Map(),
+    loaded: false,
+
+    // Import every module in the portals folder; each default-exports one portal
+    async load(folder = this.folder) {
+        const files = fs.readdirSync(folder)
+            .filter(name => name.endsWith('.js'))
+            .sort();
+
+        for (const name of files) {
+            const file = path.join(folder, name);
+            const { default: portal } = await import(pathToFileURL(file).href);
+            validatePortal(portal, name);
+
+            if (this.portals.has(portal.id)) {
+                throw new Error(`Duplicate portal id '${portal.id}' in ${name}`);
+            }
+            this.portals.set(portal.id, portal);
+        }
+
+        this.loaded = true;
+        console.log(`Loaded ${this.portals.size} portals: ${[...this.portals.keys()].join(', ')}`);
+    },
+
+    // Find the portal for a journal link; the most specific host pattern wins
+    resolve(journalLink) {
+        if (!this.loaded) {
+            throw new Error('Portal registry has not been loaded');
+        }
+
+        const url = (journalLink || '').toLowerCase();
+        let found = null;
+        let strength = 0;
+
+        for (const portal of this.portals.values()) {
+            const current = matchStrength(portal, url);
+            if (current > strength) {
+                found = portal;
+                strength = current;
+            }
+        }
+
+        return found;
+    },
+
+    // Like resolve, but fails for links no portal claims
+    get(journalLink) {
+        const portal = this.resolve(journalLink);
+        if (!portal) {
+            throw new Error(`No handler for URL: ${journalLink}`);
+        }
+        return portal;
+    },
+
+    list() {
+        return Array.from(this.portals.values());
+    }
+};
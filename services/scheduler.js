@@ -0,0 +1,229 @@
+import { supabase } from '../config/supabase.js';
+import { decrypt, sendWhatsAppMessage } from './services.js';
+import { uploadService } from './uploadService.js';
+import { portalRegistry } from './portalRegistry.js';
+import { formatChangeSummary } from './statusTracker.js';
+import { credentialHealth } from './credentialHealth.js';
+import { captchaGuard } from './captchaGuard.js';
+import { dbService } from './dbService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// WhatsApp rejects template parameters with newlines, tabs or more than four spaces in a row
+function templateText(text) {
+    return text.replace(/\s*\n\s*/g, ' ').replace(/\t/g, ' ').replace(/ {4,}/g, '   ').trim();
+}
+
+// "editorialmanager=12,wiley=48" -> { editorialmanager: 12, wiley: 48 }
+function parsePortalIntervals(value) {
+    const intervals = {};
+    for (const entry of (value || '').split(',')) {
+        const [portal, hours] = entry.split('=').map(part => part && part.trim());
+        if (portal && Number(hours) > 0) intervals[portal] = Number(hours);
+    }
+    return intervals;
+}
+
+// "22-7" -> { start: 22, end: 7 }; quiet hours may wrap past midnight
+function parseQuietHours(value) {
+    const match = (value || '').match(/^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/);
+    return match ? { start: Number(match[1]) % 24, end: Number(match[2]) % 24 } : null;
+}
+
+function loadConfig() {
+    return {
+        enabled: process.env.SCHEDULER_ENABLED === 'true',
+        tickMinutes: Number(process.env.SCHEDULER_TICK_MINUTES) || 15,
+        spacingSeconds: Number(process.env.SCHEDULER_SPACING_SECONDS ?? 60),
+        defaultIntervalHours: Number(process.env.SCHEDULER_INTERVAL_HOURS) || 24,
+        portalIntervals: parsePortalIntervals(process.env.SCHEDULER_PORTAL_INTERVALS),
+        quietHours: parseQuietHours(process.env.SCHEDULER_QUIET_HOURS),
+        timeZone: process.env.SCHEDULER_TIMEZONE || undefined
+    };
+}
+
+export const scheduler = {
+    config: loadConfig(),
+    timer: null,
+    running: false,
+    pending: new Set(),       // journal ids waiting to be queued, queued or in progress
+    lastAttempts: new Map(),  // journal id -> last attempt (ms); also saved as last_attempted_at
+    delays: new Set(),        // timers of journals waiting for their turn to be queued
+
+    start() {
+        if (!this.config.enabled) {
+            console.log('Background status polling disabled (set SCHEDULER_ENABLED=true to enable)');
+            return;
+        }
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.config.tickMinutes * 60 * 1000);
+        console.log(`Background status polling every ${this.config.tickMinutes} minutes`);
+        this.tick();
+    },
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const delay of this.delays) clearTimeout(delay);
+        this.delays.clear();
+    },
+
+    isQuietHour(date = new Date()) {
+        const { quietHours, timeZone } = this.config;
+        if (!quietHours) return false;
+
+        const hour = Number(new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date));
+        return quietHours.start <= quietHours.end
+            ? hour >= quietHours.start && hour < quietHours.end
+            : hour >= quietHours.start || hour < quietHours.end;
+    },
+
+    // Per-portal interval: env override, then the portal module's pollIntervalHours, then the default
+    intervalFor(portal) {
+        const hours = this.config.portalIntervals[portal.id] || portal.pollIntervalHours || this.config.defaultIntervalHours;
+        return hours * HOUR;
+    },
+
+    // Failed checks count too (last_attempted_at), so failing rows are not retried every tick,
+    // not even after a restart
+    isDue(row, portal, now = Date.now()) {
+        const interval = this.intervalFor(portal);
+        const lastChecked = row.last_checked_at ? new Date(row.last_checked_at).getTime() : 0;
+        const lastAttempted = row.last_attempted_at ? new Date(row.last_attempted_at).getTime() : 0;
+        const lastAttempt = this.lastAttempts.get(row.id) || 0;
+        return now - Math.max(lastChecked, lastAttempted, lastAttempt) >= interval;
+    },
+
+    // Walk every journal_data row and queue the ones that are due
+    async tick() {
+        if (this.running) return;
+        if (this.isQuietHour()) {
+            console.log('Scheduler: quiet hours, skipping this run');
+            return;
+        }
+
+        this.running = true;
+        try {
+            const { data: rows, error } = await supabase
+                .from('journal_data')
+                .select('id, journal_link, last_checked_at, last_attempted_at, whatsapp_number, username, password, credential_status, credential_failures, credential_error, credential_checked_at, credential_fingerprint');
+
+            if (error) throw error;
+
+            let queued = 0;
+            for (const row of rows || []) {
+                if (this.pending.has(row.id)) continue;
+
+                // Rejected credentials would only move the account closer to a portal lockout
+                if (credentialHealth.isBlocked(credentialHealth.fromRow(row))) continue;
+
+                let portal = null;
+                try {
+                    portal = portalRegistry.resolve(decrypt(row.journal_link));
+                } catch (error) {
+                    console.error(`Scheduler: could not decrypt journal link for journal ${row.id}`);
+                }
+                if (!portal || captchaGuard.cooldownFor(portal.id) || !this.isDue(row, portal)) continue;
+
+                // Due journals are queued spacingSeconds apart, so a backlog (after a restart or
+                // downtime) does not hit the portals all at once
+                this.pending.add(row.id);
+                const delay = setTimeout(() => {
+                    this.delays.delete(delay);
+                    this.enqueue(row);
+                }, queued * this.config.spacingSeconds * 1000);
+                this.delays.add(delay);
+                queued++;
+            }
+            if (queued > 0) {
+                console.log(`Scheduler: queued ${queued} journal(s) for background status checks`);
+            }
+        } catch (error) {
+            console.error('Scheduler tick failed:', error);
+        } finally {
+            this.running = false;
+        }
+    },
+
+    async recordAttempt(journalId) {
+        const attemptedAt = new Date();
+        this.lastAttempts.set(journalId, attemptedAt.getTime());
+        try {
+            await dbService.saveLastAttempt(journalId, attemptedAt.toISOString());
+        } catch (error) {
+            // Kept in memory until the next restart
+        }
+    },
+
+    // A queued check only runs when it comes up outside quiet hours; checks still waiting in
+    // the request queue when quiet hours begin are dropped and picked up by a later tick
+    canStart(journalId) {
+        if (this.isQuietHour()) {
+            console.log(`Scheduler: quiet hours, dropping the queued check of journal ${journalId}`);
+            return false;
+        }
+        this.recordAttempt(journalId);
+        return true;
+    },
+
+    enqueue(row) {
+        this.pending.add(row.id);
+
+        (async () => {
+            try {
+                // Runs handleJournal as a job, tracks status changes and refreshes status_link
+                const { done, coalesced } = await uploadService.queueStatusCapture(row.id, {
+                    priority: 'background',
+                    canStart: () => this.canStart(row.id)
+                });
+                // Joined a capture already queued by an API call, which runs whatever the hour
+                if (coalesced) this.recordAttempt(row.id);
+                const result = await done;
+                if (result?.change?.changed && !result.change.firstCheck) {
+                    await this.notifyClient(row, result);
+                }
+            } catch (error) {
+                console.error(`Scheduled status check failed for journal ${row.id}:`, error.message);
+            } finally {
+                this.pending.delete(row.id);
+            }
+        })();
+    },
+
+    // Push a status change to the client who owns the journal
+    async notifyClient(row, result) {
+        if (!row.whatsapp_number) {
+            console.log(`Status changed for journal ${row.id}, but no WhatsApp number is known for its client`);
+            return;
+        }
+
+        const summary = formatChangeSummary('Your journal submission', result.change);
+        const body = result.statusLink ? `${summary}\n\nLatest status: ${result.statusLink}` : summary;
+
+        // Business-initiated messages outside the 24h window need an approved template
+        const message = process.env.WHATSAPP_STATUS_TEMPLATE
+            ? {
+                messaging_product: "whatsapp",
+                to: row.whatsapp_number,
+                type: "template",
+                template: {
+                    name: process.env.WHATSAPP_STATUS_TEMPLATE,
+                    language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+                    components: [{ type: 'body', parameters: [{ type: 'text', text: templateText(body) }] }]
+                }
+            }
+            : {
+                messaging_product: "whatsapp",
+                to: row.whatsapp_number,
+                type: "text",
+                text: { body: `🔔 ${body}` }
+            };
+
+        try {
+            await sendWhatsAppMessage(row.whatsapp_number, message);
+        } catch (error) {
+            console.error(`Failed to notify client of journal ${row.id}:`, error.message);
+        }
+    }
+};
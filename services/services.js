@@ -1,6 +1,5 @@
 // Core imports
-import { Builder, By, Key, until } from "selenium-webdriver";
-import chrome from "selenium-webdriver/chrome.js";
+import { By, Key, Select, until } from "selenium-webdriver";
 import fs from "fs";
 import { supabase } from '../config/supabase.js';
 import { performance } from "perf_hooks";
@@ -14,20 +13,19 @@ import { spawn } from 'child_process';
 import dotenv from 'dotenv';
 import { logger } from '../utils/Logger.js';
 import { handleJournal } from '../handlers/journalHandlers.js';
-import { 
-    handleEditorialManagerCHKSTS,
-    handleManuscriptCentralCHKSTS,
-    handleTandFOnlineCHKSTS,
-    handleTaylorFrancisCHKSTS,
-    handleCGScholarCHKSTS,
-    handleTheSciPubCHKSTS,
-    handleWileyCHKSTS,
-    handlePeriodicosCHKSTS,
-    handleTSPSubmissionCHKSTS,
-    handleSpringerNatureCHKSTS 
-} from '../handlers/chkstsHandlers.js';
+import { portalRegistry } from './portalRegistry.js';
+import { browserPool } from './browserPool.js';
+import { jobStore } from './jobStore.js';
+import { jobManager, JOB_PRIORITIES, QueueLimitError, failureOutcome } from './jobManager.js';
+import { durationStats } from './durationStats.js';
 import { v4 as uuidv4 } from 'uuid';
 import { dbService } from './dbService.js';
+import { loadKeysScript, usesInstruction, DEFAULT_WAIT_TIMEOUT } from '../utils/keysParser.js';
+import { ExecutionTrace } from '../utils/ExecutionTrace.js';
+import { JournalError, diagnoseFailure, describeFailure, checkLogin, detectChallenge } from '../utils/JournalError.js';
+import { otpBroker, OTP_TIMEOUT_SECONDS } from './otpBroker.js';
+import { sessionStore } from './sessionStore.js';
+import { formatChangeSummary } from './statusTracker.js';
 
 // Load environment variables first
 dotenv.config();
@@ -43,19 +41,34 @@ const key = Buffer.from(process.env.ENCRYPTION_KEY, 'hex');
 const iv = Buffer.from(process.env.ENCRYPTION_IV, 'hex');
 
 // Initialize core services
-const requestQueue = new PQueue({ concurrency: 1 });
-const queueStats = {
-    total: 0,
-    current: 0,
-    getPosition: (id) => queueStats.total - queueStats.current + 1
-};
+// Requests run side by side; the browser pool limits how many browsers (and which portals) run at once
+const requestQueue = new PQueue({ concurrency: Number(process.env.REQUEST_CONCURRENCY) || browserPool.config.size });
+jobManager.concurrency = requestQueue.concurrency;
+
+// "Still working" messages during long requests; 0 turns them off
+const PROGRESS_UPDATE_MINUTES = Number(process.env.PROGRESS_UPDATE_MINUTES ?? 5);
 
 // User sessions and screenshot management
 const userSessions = new Map();
+const userLocks = new Map();
 const newlyGeneratedScreenshots = new Set();
 const processedMessages = new Set();
 
 // Core functions
+
+// Requests for the same user share a screenshot session, so they run one after another
+function withUserLock(userId, task) {
+    const previous = userLocks.get(userId) || Promise.resolve();
+    const result = previous.then(task);
+    const tail = result.catch(() => {});
+
+    userLocks.set(userId, tail);
+    tail.then(() => {
+        if (userLocks.get(userId) === tail) userLocks.delete(userId);
+    });
+    return result;
+}
+
 function decrypt(text) {
     try {
         if (!text) return '';
@@ -107,49 +120,116 @@ async function switchToActiveElement(driver) {
     return activeElement;
 }
 
-// Add this helper function near the top with other helper functions
-async function waitForClickable(driver, element, maxAttempts = 3) {
+// Click through common cookie/consent overlays that intercept clicks
+async function dismissConsentOverlays(driver) {
+    const consentSelectors = [
+        '.category-menu-switch-handler',
+        '#onetrust-accept-btn-handler',
+        '.cookie-consent-accept',
+        '[aria-label="Accept cookies"]'
+    ];
+
+    for (const selector of consentSelectors) {
+        try {
+            const overlay = await driver.findElement(By.css(selector));
+            await overlay.click();
+            await driver.sleep(1000);
+        } catch (e) {
+            // Ignore if selector not found
+            continue;
+        }
+    }
+}
+
+// Run a click-like action, dismissing overlays and retrying when the click is intercepted
+async function retryPastOverlays(driver, action, maxAttempts = 3) {
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
         try {
-            // Try to click the element
-            await element.click();
-            return true;
+            return await action();
         } catch (error) {
-            if (error.name === 'ElementClickInterceptedError') {
-                // Try to handle any overlays or consent dialogs
-                try {
-                    // Common consent dialog selectors
-                    const consentSelectors = [
-                        '.category-menu-switch-handler',
-                        '#onetrust-accept-btn-handler',
-                        '.cookie-consent-accept',
-                        '[aria-label="Accept cookies"]'
-                    ];
-
-                    for (const selector of consentSelectors) {
-                        try {
-                            const overlay = await driver.findElement(By.css(selector));
-                            await overlay.click();
-                            await driver.sleep(1000);
-                        } catch (e) {
-                            // Ignore if selector not found
-                            continue;
-                        }
-                    }
+            // Layout shifts show up as intercepted clicks or stale elements
+            const retryable = error.name === 'ElementClickInterceptedError' ||
+                error.name === 'StaleElementReferenceError';
+            if (!retryable || attempt === maxAttempts - 1) throw error;
 
-                    // Try clicking the original element again
-                    await driver.sleep(1000);
-                    continue;
-                } catch (e) {
-                    if (attempt === maxAttempts - 1) throw error;
-                    await driver.sleep(1000);
-                }
-            } else {
-                throw error;
-            }
+            await dismissConsentOverlays(driver);
+            await driver.sleep(1000);
         }
     }
-    return false;
+}
+
+// Add this helper function near the top with other helper functions
+async function waitForClickable(driver, element, maxAttempts = 3) {
+    try {
+        await retryPastOverlays(driver, () => element.click(), maxAttempts);
+        return true;
+    } catch (error) {
+        if (error.name === 'ElementClickInterceptedError') return false;
+        throw error;
+    }
+}
+
+// Convert a parsed KEYS selector into a WebDriver locator
+function toLocator(selector) {
+    switch (selector.strategy) {
+        case 'xpath':
+            return By.xpath(selector.value);
+        case 'id':
+            return By.id(selector.value);
+        case 'name':
+            return By.name(selector.value);
+        case 'link':
+            return By.linkText(selector.value);
+        default:
+            return By.css(selector.value);
+    }
+}
+
+// Wait until the selected element is present, visible or clickable and return it
+async function waitForElement(driver, selector, state = 'visible', timeout = DEFAULT_WAIT_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    // At least 1ms: driver.wait treats 0 as "wait forever", so a spent deadline checks once and times out
+    const remaining = () => Math.max(deadline - Date.now(), 1);
+
+    const element = await driver.wait(until.elementLocated(toLocator(selector)), timeout,
+        `Timed out after ${timeout}ms waiting for ${selector.strategy}:${selector.value}`);
+
+    if (state === 'visible' || state === 'clickable') {
+        await driver.wait(until.elementIsVisible(element), remaining(),
+            `${selector.strategy}:${selector.value} did not become visible within ${timeout}ms`);
+    }
+    if (state === 'clickable') {
+        await driver.wait(until.elementIsEnabled(element), remaining(),
+            `${selector.strategy}:${selector.value} did not become clickable within ${timeout}ms`);
+    }
+
+    return element;
+}
+
+// Execute a selector-based CLICK, TYPE or SELECT instruction
+async function runSelectorInstruction(driver, instruction, username, password) {
+    const { selector } = instruction.args;
+    const describe = `${selector.strategy}:${selector.value}`;
+
+    // Re-locate the element on every attempt so a re-rendered page does not leave a stale reference
+    await retryPastOverlays(driver, async () => {
+        const element = await waitForElement(driver, selector, 'clickable');
+
+        if (instruction.name === "CLICK") {
+            await element.click();
+        } else if (instruction.name === "TYPE") {
+            const text = instruction.args.text
+                .replace(/\{USERNAME\}/g, username)
+                .replace(/\{PASSWORD\}/g, password);
+            await element.click();
+            await element.clear();
+            await element.sendKeys(text);
+        } else if (instruction.name === "SELECT") {
+            await new Select(element).selectByVisibleText(instruction.args.option);
+        }
+    });
+
+    console.log(`${instruction.name} completed on ${describe}`);
 }
 
 // Screenshot manager
@@ -258,10 +338,12 @@ const screenshotManager = {
         }
     },
 
+    // whatsappNumber may be a list when several clients wait on the same request
     async sendToWhatsApp(whatsappNumber, userId) {
         if (!userId) {
             throw new Error("User ID is required to send screenshots to WhatsApp");
         }
+        const recipients = [].concat(whatsappNumber);
 
         const session = this.sessions.get(userId);
         if (!session) {
@@ -273,12 +355,14 @@ const screenshotManager = {
         console.log(`Found ${screenshots.length} screenshots for user ${userId}`);
 
         if (screenshots.length === 0) {
-            await sendWhatsAppMessage(whatsappNumber, {
-                messaging_product: "whatsapp",
-                to: whatsappNumber,
-                type: "text",
-                text: { body: "No new screenshots available." }
-            });
+            for (const recipient of recipients) {
+                await sendWhatsAppMessage(recipient, {
+                    messaging_product: "whatsapp",
+                    to: recipient,
+                    type: "text",
+                    text: { body: "No new screenshots available." }
+                });
+            }
             return;
         }
 
@@ -308,12 +392,14 @@ const screenshotManager = {
 
             // Send all screenshots
             for (const screenshotPath of existingFiles) {
-                try {
-                    const caption = `Status update: ${path.basename(screenshotPath, '.png')}`;
-                    await sendWhatsAppImage(whatsappNumber, screenshotPath, caption);
-                    console.log(`Successfully sent: ${screenshotPath}`);
-                } catch (error) {
-                    console.error(`Error sending screenshot ${screenshotPath}:`, error);
+                const caption = `Status update: ${path.basename(screenshotPath, '.png')}`;
+                for (const recipient of recipients) {
+                    try {
+                        await sendWhatsAppImage(recipient, screenshotPath, caption);
+                        console.log(`Successfully sent: ${screenshotPath}`);
+                    } catch (error) {
+                        console.error(`Error sending screenshot ${screenshotPath}:`, error);
+                    }
                 }
             }
 
@@ -325,7 +411,9 @@ const screenshotManager = {
             await this.deleteUserFolder(userId);
 
             // After sending screenshots and before cleanup
-            await sendFeedbackRequest(whatsappNumber, userId);
+            for (const recipient of recipients) {
+                await sendFeedbackRequest(recipient, userId);
+            }
 
         } catch (error) {
             console.error('Error in sendToWhatsApp:', error);
@@ -427,258 +515,443 @@ const SessionManager = {
     }
 };
 
-// Core instruction execution
-async function executeInstructions(driver, username, password, order, journalLink, whatsappNumber, userId) {
-    try {
-        const startTime = performance.now();
-        console.log("Execution started...");
+// Raised by GOTO and caught by the block that defines the label
+class GotoSignal {
+    constructor(label) {
+        this.label = label;
+    }
+}
 
-        // Determine the keys file based on the journal link
-        let keysFile;
-        if (journalLink.includes("manuscriptcentral")) {
-            keysFile = "keys/manus_KEYS.txt";
-        } else if (journalLink.includes("editorialmanager")) {
-            keysFile = "keys/edito_KEYS.txt";
-        // } else if (journalLink.includes("tandfonline")) {
-        } else if (journalLink.includes("taylorfrancis") || journalLink.includes("tandfonline")) {
-            keysFile = "keys/taylo_KEYS.txt";
-        } else if (journalLink.includes("cgscholar")) {
-            keysFile = "keys/cgsch_KEYS.txt";
-        } else if (journalLink.includes("thescipub")) {
-            keysFile = "keys/thesc_KEYS.txt";
-        } else if (journalLink.includes("wiley")) {
-            keysFile = "keys/wiley_KEYS.txt";
-        } else if (journalLink.includes("periodicos")) {
-            keysFile = "keys/perio_KEYS.txt";
-        } else if (journalLink.includes("tspsubmission")) {
-            keysFile = "keys/tspsu_KEYS.txt";
-        } else if (journalLink.includes("springernature")) {
-            keysFile = "keys/springer_KEYS.txt";
-        } else if (journalLink.includes("wiley.scienceconnect.io") || journalLink.includes("onlinelibrary.wiley")) {
-            keysFile = "keys/wiley_KEYS.txt";
-        } else {
-            throw new Error(`No keys file defined for URL: ${journalLink}`);
+// Guards against GOTO loops that never exit
+const MAX_GOTO_JUMPS = 500;
+
+// Run a list of KEYS nodes, resolving GOTOs that target labels in this block
+async function runBlock(driver, nodes, context) {
+    let index = 0;
+    while (index < nodes.length) {
+        try {
+            await runNode(driver, nodes[index], context);
+            index++;
+        } catch (signal) {
+            if (!(signal instanceof GotoSignal)) throw signal;
+
+            const target = nodes.findIndex(node => node.name === "LABEL" && node.args.label === signal.label);
+            if (target === -1) throw signal;
+            index = target + 1;
         }
+    }
+}
 
-        // Read and filter instructions
-        const rawInstructions = fs.readFileSync(keysFile, "utf-8").split("\n");
-        const instructions = rawInstructions.filter(line => {
-            const trimmed = line.trim();
-            return trimmed && trimmed.length > 0; // Only keep non-empty lines
-        });
+async function isAnyDisplayed(driver, locator) {
+    const elements = await driver.findElements(locator);
+    for (const element of elements) {
+        if (await element.isDisplayed()) return true;
+    }
+    return false;
+}
 
-        const foundTexts = [];
+async function evaluateCondition(driver, node, context) {
+    if (node.name === "IF-TEXT") {
+        const body = await driver.findElement(By.tagName('body'));
+        return (await body.getText()).includes(node.args.text);
+    }
 
-        for (const [index, instruction] of instructions.entries()) {
-            const trimmedInstruction = instruction.trim();
-            
-            // Skip empty lines or whitespace
-            if (!trimmedInstruction) {
-                continue;
-            }
+    // IF-SESSION matches when a saved session was restored and the page shows the logged-in
+    // element (or, without a selector, no password field)
+    if (node.name === "IF-SESSION") {
+        if (!context.sessionRestored) return false;
+        return node.args.selector
+            ? isAnyDisplayed(driver, toLocator(node.args.selector))
+            : !(await isAnyDisplayed(driver, By.css('input[type="password"]')));
+    }
 
-            const elapsedTime = ((performance.now() - startTime) / 1000).toFixed(2);
+    // IF-ELEMENT matches when any element for the selector is displayed
+    return isAnyDisplayed(driver, toLocator(node.args.selector));
+}
+
+// Run a step under the journal's watchdog, when it has one
+function guardStep(watchdog, label, action, seconds) {
+    return watchdog ? watchdog.step(label, action, seconds) : action();
+}
+
+async function runNode(driver, node, context) {
+    const { trace, watchdog } = context;
+
+    // Cancelled or timed-out journals stop before their next instruction
+    watchdog?.signal.throwIfAborted();
+
+    if (node.type === "If") {
+        const matched = await trace.step(driver, node, () =>
+            guardStep(watchdog, node.source, () => evaluateCondition(driver, node, context)));
+        console.log(`${node.name} ${matched ? 'matched' : 'did not match'} (${node.file}:${node.line})`);
+        await runBlock(driver, matched ? node.body : node.elseBody, context);
+    } else if (node.type === "Repeat") {
+        for (let i = 0; i < node.args.count; i++) {
+            await runBlock(driver, node.body, context);
+        }
+    } else if (node.type === "Include") {
+        await runBlock(driver, node.program.body, context);
+    } else if (node.name === "GOTO") {
+        if (++context.jumps > MAX_GOTO_JUMPS) {
+            throw new Error(`GOTO ${node.args.label} exceeded ${MAX_GOTO_JUMPS} jumps (${node.file}:${node.line})`);
+        }
+        throw new GotoSignal(node.args.label);
+    } else if (node.name !== "LABEL") {
+        await trace.step(driver, node, () =>
+            guardStep(watchdog, node.source, () => runInstruction(driver, node, context), stepSeconds(node, watchdog)));
+    }
+}
+
+// Step deadline for an instruction; undefined for the watchdog's default
+function stepSeconds(node, watchdog) {
+    if (!watchdog) return undefined;
+
+    // CHKSTS walks whole folder lists, so it gets a longer deadline than single instructions
+    if (node.name === "CHKSTS") return watchdog.chkstsSeconds;
+
+    // AWAITOTP waits for the client's reply, then types the code
+    if (node.name === "AWAITOTP") return otpSeconds(node) + watchdog.stepSeconds;
+    return undefined;
+}
+
+function otpSeconds(instruction) {
+    return instruction.args.timeout ? instruction.args.timeout / 1000 : OTP_TIMEOUT_SECONDS;
+}
+
+// Ask the client on WhatsApp for the verification code the portal just sent, then type it in
+async function awaitOtp(driver, instruction, context) {
+    const { order, portal, whatsappNumber, watchdog } = context;
+    const label = `Journal ${order} (${portal.name})`;
+
+    // Background and API checks have nobody to ask
+    if (!whatsappNumber) {
+        throw new JournalError('OTP_REQUIRED', `${label} asked for a verification code, but the check was not requested on WhatsApp`);
+    }
+
+    const seconds = otpSeconds(instruction);
+    const within = seconds >= 60 ? `${Math.round(seconds / 60)} minute(s)` : `${seconds} seconds`;
+    await sendWhatsAppMessage(whatsappNumber, {
+        messaging_product: "whatsapp",
+        to: whatsappNumber,
+        type: "text",
+        text: {
+            body: `🔐 ${label} sent a verification code to your email or phone. ` +
+                  `Please reply with the code within ${within} so we can continue.`
+        }
+    });
+
+    console.log(`${label}: waiting up to ${seconds}s for a verification code from ${whatsappNumber}`);
+    const waitForCode = () => otpBroker.request(whatsappNumber, { label, seconds, signal: watchdog?.signal });
+    const code = watchdog ? await watchdog.pauseJournal(waitForCode) : await waitForCode();
+
+    if (instruction.args.selector) {
+        const element = await waitForElement(driver, instruction.args.selector, 'clickable');
+        await element.click();
+        await element.clear();
+        await element.sendKeys(code);
+    } else {
+        await driver.actions().sendKeys(code).perform();
+    }
+    console.log(`${label}: verification code entered`);
+
+    await sendWhatsAppMessage(whatsappNumber, {
+        messaging_product: "whatsapp",
+        to: whatsappNumber,
+        type: "text",
+        text: { body: `✓ Code received, continuing with ${label}...` }
+    }).catch(error => console.error('Failed to confirm verification code:', error.message));
+}
 
-            // console.log(
-            //   `Time Elapsed: ${elapsedTime} seconds | Executing instruction [${
-            //     index + 1
-            //   }]: ${trimmedInstruction}`
-            // );
+// Instructions that read the portal; a login typed before them must have gone through first
+const LOGIN_CHECKPOINTS = new Set(["SCRNSHT", "CHKSTS"]);
 
-            // console.log(`${trimmedInstruction}`);
+// Instructions that would type credentials into, or capture, a bot check page; the page is checked first
+const CHALLENGE_CHECKPOINTS = new Set(["INPUTUSR", "SCRNSHT", "CHKSTS", "AWAITOTP"]);
 
-            if (trimmedInstruction === "TAB") {
+async function stopOnChallenge(driver) {
+    const challenge = await detectChallenge(driver);
+    if (challenge) throw challenge;
+}
+
+// Called once the password is typed, so the login check knows which page it was submitted from
+async function markLoginPending(driver, context) {
+    context.login = { url: await driver.getCurrentUrl() };
+}
+
+// Fail the journal when the portal rejected the login, instead of capturing its login page
+async function verifyLogin(driver, context) {
+    const { login, portal } = context;
+    context.login = null;
+
+    const failure = await checkLogin(driver, { loginUrl: login.url, markers: portal.loginErrors });
+    if (failure) throw failure;
+    console.log(`Logged in to ${portal.name}`);
+}
+
+// Execute a single KEYS instruction
+async function runInstruction(driver, instruction, context) {
+    const { username, password, order, portal, whatsappNumber, userId, foundTexts, startTime } = context;
+    const elapsedTime = ((performance.now() - startTime) / 1000).toFixed(2);
+
+    if (CHALLENGE_CHECKPOINTS.has(instruction.name)) {
+        await stopOnChallenge(driver);
+    }
+    if (context.login && LOGIN_CHECKPOINTS.has(instruction.name)) {
+        await verifyLogin(driver, context);
+    } else if (context.login && instruction.name === "AWAITOTP") {
+        // Don't ask for a code after a rejected password. Code fields are often password inputs on
+        // the login URL, so only error messages count here; the full check runs after the code.
+        const failure = await checkLogin(driver, { loginUrl: null, markers: portal.loginErrors });
+        if (failure) throw failure;
+    }
+
+    // console.log(
+    //   `Time Elapsed: ${elapsedTime} seconds | Executing instruction [${
+    //     instruction.line
+    //   }]: ${instruction.source}`
+    // );
+
+    // console.log(`${instruction.source}`);
+
+    if (instruction.name === "TAB") {
+        await driver.actions().sendKeys(Key.TAB).perform();
+        // let activeElement = await switchToActiveElement(driver);
+        // let text = await activeElement.getText();
+        // console.log(`Current highlighted text: ${text}`);
+        // await driver.sleep(2000);
+    } else if (instruction.name === "SPACE") {
+        await driver.actions().sendKeys(Key.SPACE).perform();
+    } else if (instruction.name === "ESC") {
+        await driver.actions().sendKeys(Key.ESCAPE).perform();
+    } else if (instruction.name === "ENTER") {
+        await driver.actions().sendKeys(Key.RETURN).perform();
+    } else if (instruction.name === "FIND") {
+        await driver.actions().keyDown(Key.CONTROL).perform();
+        await driver.actions().sendKeys("f").perform();
+        await driver.actions().keyUp(Key.CONTROL).perform();
+    } else if (instruction.name === "PASTE") {
+        await driver
+            .actions()
+            .keyDown(Key.CONTROL)
+            .sendKeys("v")
+            .keyUp(Key.CONTROL)
+            .perform();
+    } else if (instruction.name === "SLEEP") {
+        await driver.sleep(instruction.args.ms);
+    } else if (instruction.name === "INPUTUSR") {
+        await driver.actions().sendKeys(username).perform();
+    } else if (instruction.name === "INPUTPASS") {
+        await driver.actions().sendKeys(password).perform();
+        await markLoginPending(driver, context);
+    } else if (instruction.name === "SCRNSHT") {
+        console.log("Taking screenshot of current page...");
+        await screenshotManager.capture(driver, username, userId);
+        // Remove the immediate deletion
+        // await sendWhatsAppImage(whatsappNumber, screenshotPath, ``);
+        // fs.unlinkSync(screenshotPath);
+    } else if (instruction.name === "INPUT") {
+        await driver.actions().sendKeys(instruction.args.text).perform();
+        console.log(`Typed input: ${instruction.args.text}`);
+    } else if (instruction.name === "WAITFOR") {
+        const { selector, state, timeout } = instruction.args;
+        await waitForElement(driver, selector, state, timeout);
+    } else if (instruction.name === "AWAITOTP") {
+        await awaitOtp(driver, instruction, context);
+    } else if (instruction.args.selector) {
+        await runSelectorInstruction(driver, instruction, username, password);
+        if (instruction.name === "TYPE" && instruction.args.text.includes("{PASSWORD}")) {
+            await markLoginPending(driver, context);
+        }
+    } else if (instruction.name === "CLICK") {
+        const clickTarget = instruction.args.target;
+        let inputElement;
+        if (clickTarget === "input") {
+            inputElement = await driver.findElement(By.id("USERID"));
+        } else if (clickTarget === "loginButton") {
+            inputElement = await driver.findElement(By.id("login-button-default"));
+        }
+        
+        // Use the new waitForClickable function instead of direct click
+        await waitForClickable(driver, inputElement);
+        console.log(`Clicked on element with target: ${clickTarget}`);
+    } else if (instruction.name === "CHKREGQS") {
+        console.log("Handling survey popup check...");
+        try {
+            // Click on body first to ensure focus
+            const body = await driver.findElement(By.tagName('body'));
+            await body.click();
+            await driver.sleep(1000);
+
+            const targetText = "Self-report your data to improve equity in research";
+            let found = false;
+
+            // Store main window handle at the start
+            const mainWindow = await driver.getWindowHandle();
+
+            // Do first 2 tabs and check
+            for (let i = 0; i < 2; i++) {
                 await driver.actions().sendKeys(Key.TAB).perform();
-                // let activeElement = await switchToActiveElement(driver);
-                // let text = await activeElement.getText();
-                // console.log(`Current highlighted text: ${text}`);
-                // await driver.sleep(2000);
-            } else if (trimmedInstruction === "SPACE") {
-                await driver.actions().sendKeys(Key.SPACE).perform();
-            } else if (trimmedInstruction === "ESC") {
-                await driver.actions().sendKeys(Key.ESCAPE).perform();
-            } else if (trimmedInstruction === "ENTER") {
-                await driver.actions().sendKeys(Key.RETURN).perform();
-            } else if (trimmedInstruction === "FIND") {
-                await driver.actions().keyDown(Key.CONTROL).perform();
-                await driver.actions().sendKeys("f").perform();
-                await driver.actions().keyUp(Key.CONTROL).perform();
-            } else if (trimmedInstruction === "PASTE") {
-                await driver
-                    .actions()
-                    .keyDown(Key.CONTROL)
-                    .sendKeys("v")
-                    .keyUp(Key.CONTROL)
-                    .perform();
-            } else if (trimmedInstruction.startsWith("SLEEP")) {
-                const time = parseInt(trimmedInstruction.match(/\d+/)[0], 10);
-                await driver.sleep(time);
-            } else if (trimmedInstruction === "INPUTUSR") {
-                await driver.actions().sendKeys(username).perform();
-            } else if (trimmedInstruction === "INPUTPASS") {
-                await driver.actions().sendKeys(password).perform();
-            } else if (trimmedInstruction === "SCRNSHT") {
-                console.log("Taking screenshot of current page...");
-                await screenshotManager.capture(driver, username, userId);
-                // Remove the immediate deletion
-                // await sendWhatsAppImage(whatsappNumber, screenshotPath, ``);
-                // fs.unlinkSync(screenshotPath);
-            } else if (trimmedInstruction.startsWith("INPUT-")) {
-                const inputString = trimmedInstruction.replace("INPUT-", "");
-                await driver.actions().sendKeys(inputString).perform();
-                console.log(`Typed input: ${inputString}`);
-            } else if (trimmedInstruction.startsWith("CLICK")) {
-                const clickTarget = trimmedInstruction.split("-")[1];
-                let inputElement;
-                if (clickTarget === "input") {
-                    inputElement = await driver.findElement(By.id("USERID"));
-                } else if (clickTarget === "loginButton") {
-                    inputElement = await driver.findElement(By.id("login-button-default"));
-                } else {
-                    console.log(`Unknown CLICK target: ${clickTarget}`);
-                    continue;
-                }
-                
-                // Use the new waitForClickable function instead of direct click
-                await waitForClickable(driver, inputElement);
-                console.log(`Clicked on element with target: ${clickTarget}`);
-            } else if (trimmedInstruction === "CHKREGQS") {
-                console.log("Handling survey popup check...");
-                try {
-                    // Click on body first to ensure focus
-                    const body = await driver.findElement(By.tagName('body'));
-                    await body.click();
-                    await driver.sleep(1000);
-
-                    const targetText = "Self-report your data to improve equity in research";
-                    let found = false;
-
-                    // Store main window handle at the start
-                    const mainWindow = await driver.getWindowHandle();
-
-                    // Do first 2 tabs and check
-                    for (let i = 0; i < 2; i++) {
-                        await driver.actions().sendKeys(Key.TAB).perform();
-                        let activeElement = await switchToActiveElement(driver);
-                        let text = await activeElement.getText();
-                        console.log(`Tab ${i + 1} focused text:`, text || '[No text]');
-
-                        // Check specifically on second tab
-                        if (i === 1) {
-                            if (text.includes(targetText)) {
-                                console.log("Found target text at second tab");
-                                found = true;
-
-                                // Press enter to open popup
-                                await driver.actions().sendKeys(Key.RETURN).perform();
-                                // await driver.sleep(5000);
-                                console.log("Window opened.........");
-
-                                // Get all window handles after popup opens
-                                const handles = await driver.getAllWindowHandles();
-
-                                // Switch to popup window (last window in handles array)
-                                if (handles.length > 1) {
-                                    const popupWindow = handles[handles.length - 1];
-                                    await driver.switchTo().window(popupWindow);
-                                    await driver.close(); 
-                                    console.log("Window closed.........");
-                                }
-
-                                // Switch back to main window
-                                await driver.switchTo().window(mainWindow);
-                                await driver.sleep(1000);
-
-                                // Ensure we're back on the main window
-                                console.log("Switching focus back to main window");
-                                await body.click();
-                                await driver.sleep(1000);
-
-                                // Do 2 tabs
-                                for (let i = 0; i < 4; i++) {
-                                    await driver.actions().sendKeys(Key.TAB).perform();
-                                    // await driver.sleep(2000);
-                                    // console.log(`Tab ${i + 1} focused`);
-                                }
-                                // Press enter
-                                await driver.actions().sendKeys(Key.RETURN).perform();
-                                await driver.navigate().refresh();
-                                console.log("Page reloaded after survey completion");
-                                await driver.sleep(5000);
-                                break;
-                            } else {
-                                console.log("Target text not found at second tab, doing reverse tabs");
-                                // await driver.sleep(5000);
-
-                                // Do 2 reverse tabs
-                                // for (let j = 0; j < 2; j++) {
-                                //   await driver.actions()
-                                //     .keyDown(Key.SHIFT)
-                                //     .sendKeys(Key.TAB)
-                                //     .keyUp(Key.SHIFT)
-                                //     .perform();
-                                //   await driver.sleep(5000);
-                                // }
-                                await driver.navigate().refresh();
-                                console.log("Page reloaded after survey completion");
-                                await driver.sleep(5000);
-                                break;
-                            }
+                let activeElement = await switchToActiveElement(driver);
+                let text = await activeElement.getText();
+                console.log(`Tab ${i + 1} focused text:`, text || '[No text]');
+
+                // Check specifically on second tab
+                if (i === 1) {
+                    if (text.includes(targetText)) {
+                        console.log("Found target text at second tab");
+                        found = true;
+
+                        // Press enter to open popup
+                        await driver.actions().sendKeys(Key.RETURN).perform();
+                        // await driver.sleep(5000);
+                        console.log("Window opened.........");
+
+                        // Get all window handles after popup opens
+                        const handles = await driver.getAllWindowHandles();
 
+                        // Switch to popup window (last window in handles array)
+                        if (handles.length > 1) {
+                            const popupWindow = handles[handles.length - 1];
+                            await driver.switchTo().window(popupWindow);
+                            await driver.close(); 
+                            console.log("Window closed.........");
                         }
-                    }
 
-                    console.log("Survey check sequence completed");
+                        // Switch back to main window
+                        await driver.switchTo().window(mainWindow);
+                        await driver.sleep(1000);
 
-                } catch (error) {
-                    console.log("Error during survey popup check:", error);
-                    try {
-                        // Attempt to recover by switching to any available window
-                        const handles = await driver.getAllWindowHandles();
-                        if (handles.length > 0) {
-                            await driver.switchTo().window(handles[0]);
+                        // Ensure we're back on the main window
+                        console.log("Switching focus back to main window");
+                        await body.click();
+                        await driver.sleep(1000);
+
+                        // Do 2 tabs
+                        for (let i = 0; i < 4; i++) {
+                            await driver.actions().sendKeys(Key.TAB).perform();
+                            // await driver.sleep(2000);
+                            // console.log(`Tab ${i + 1} focused`);
                         }
-                    } catch (recoveryError) {
-                        console.log("Could not recover window focus:", recoveryError);
+                        // Press enter
+                        await driver.actions().sendKeys(Key.RETURN).perform();
+                        await driver.navigate().refresh();
+                        console.log("Page reloaded after survey completion");
+                        await driver.sleep(5000);
+                        break;
+                    } else {
+                        console.log("Target text not found at second tab, doing reverse tabs");
+                        // await driver.sleep(5000);
+
+                        // Do 2 reverse tabs
+                        // for (let j = 0; j < 2; j++) {
+                        //   await driver.actions()
+                        //     .keyDown(Key.SHIFT)
+                        //     .sendKeys(Key.TAB)
+                        //     .keyUp(Key.SHIFT)
+                        //     .perform();
+                        //   await driver.sleep(5000);
+                        // }
+                        await driver.navigate().refresh();
+                        console.log("Page reloaded after survey completion");
+                        await driver.sleep(5000);
+                        break;
                     }
+
                 }
-            } else if (trimmedInstruction === "CHKSTS") {
-                if (journalLink.includes("editorialmanager")) {
-                    await handleEditorialManagerCHKSTS(driver, order, foundTexts, whatsappNumber, userId);
-                } else if (journalLink.includes("manuscriptcentral")) {
-                    await handleManuscriptCentralCHKSTS(driver, order, foundTexts);
-                    await driver.sleep(20000); // Add a delay to ensure the element is focused
-                } else if (journalLink.includes("tandfonline")) {
-                    await handleTandFOnlineCHKSTS(driver, order, foundTexts);
-                } else if (journalLink.includes("taylorfrancis")) {
-                    await handleTaylorFrancisCHKSTS(driver, order, foundTexts);
-                } else if (journalLink.includes("cgscholar")) {
-                    await handleCGScholarCHKSTS(driver, order, foundTexts);
-                } else if (journalLink.includes("thescipub")) {
-                    await handleTheSciPubCHKSTS(driver, order, foundTexts, whatsappNumber);
-                } else if (journalLink.includes("wiley")) {
-                    await handleWileyCHKSTS(driver, order, foundTexts);
-                } else if (journalLink.includes("periodicos")) {
-                    await handlePeriodicosCHKSTS(driver, order, foundTexts);
-                } else if (journalLink.includes("tspsubmission")) {
-                    await handleTSPSubmissionCHKSTS(driver, order, foundTexts);
-                } else if (journalLink.includes("springernature")) {
-                    await handleSpringerNatureCHKSTS(driver, order, foundTexts);
-                } else {
-                    console.log(`No CHKSTS handler for URL: ${journalLink}`);
+            }
+
+            console.log("Survey check sequence completed");
+
+        } catch (error) {
+            console.log("Error during survey popup check:", error);
+            try {
+                // Attempt to recover by switching to any available window
+                const handles = await driver.getAllWindowHandles();
+                if (handles.length > 0) {
+                    await driver.switchTo().window(handles[0]);
                 }
-            } else {
-                console.log(`Unknown instruction: ${trimmedInstruction}`);
-                // await driver.sleep(200000); // Add a delay to ensure the element is focused
+            } catch (recoveryError) {
+                console.log("Could not recover window focus:", recoveryError);
             }
         }
+    } else if (instruction.name === "CHKSTS") {
+        if (portal.chksts) {
+            // Handlers return the manuscript status records they read from the portal
+            const records = await portal.chksts(driver, order, foundTexts, whatsappNumber, userId, context.trace);
+            if (Array.isArray(records)) {
+                context.statusRecords.push(...records);
+            }
+        } else {
+            console.log(`No CHKSTS handler for portal: ${portal.name}`);
+        }
+    } else {
+        console.log(`Instruction not supported by the Selenium runner: ${instruction.source} (${instruction.file}:${instruction.line})`);
+    }
+}
+
+// Core instruction execution
+async function executeInstructions(driver, username, password, order, journalLink, whatsappNumber, userId, program = null, trace = null, watchdog = null, sessionRestored = false) {
+    const statusRecords = [];
+    let context = null;
+    try {
+        const startTime = performance.now();
+        console.log("Execution started...");
+
+        const portal = portalRegistry.get(journalLink);
+        trace = trace || new ExecutionTrace({ journal: order, portal: portal.id, url: journalLink });
+
+        // Scripts are normally parsed before the browser starts; parse here for direct callers
+        if (!program) {
+            program = loadKeysScript(portal.keysFile);
+        }
+
+        context = {
+            username,
+            password,
+            order,
+            portal,
+            whatsappNumber,
+            userId,
+            foundTexts: [],
+            statusRecords,
+            jumps: 0,
+            startTime,
+            trace,
+            watchdog,
+            login: null,  // { url } from the password being typed until the login is verified
+            sessionRestored
+        };
+
+        // Portals behind Cloudflare challenge before the login page even shows
+        await trace.step(driver, 'check for a bot check', () => guardStep(watchdog, 'check for a bot check', () => stopOnChallenge(driver)));
+        await runBlock(driver, program.body, context);
+
+        // Scripts that never capture anything still find out whether their login worked
+        if (context.login) {
+            await verifyLogin(driver, context);
+        }
 
         const totalTime = ((performance.now() - startTime) / 1000).toFixed(2);
         console.log(`Execution completed in ${totalTime} seconds.`);
+        return statusRecords;
     } catch (error) {
-        console.error("Error during instruction execution:", error);
-        // Ensure screenshots are still sent even if there's an error
-        await screenshotManager.sendToWhatsApp(whatsappNumber, userId);
+        // A cancelled or timed-out journal's browser was quit under it; nothing to report
+        if (watchdog?.signal.aborted) throw watchdog.signal.reason;
+
+        // A step failing after an unverified login is usually the login page still showing
+        let failure = null;
+        if (context?.login) {
+            failure = await checkLogin(driver, { loginUrl: context.login.url, markers: context.portal.loginErrors })
+                .catch(() => null);
+        }
+
+        // Screenshots taken before the failure stay in the session and go out with the rest of the request
+        failure = failure || await diagnoseFailure(driver, error);
+        console.error(`Error during instruction execution [${failure.code}]:`, error);
+        if (trace) {
+            await trace.fail(driver, failure);
+        }
+        throw failure;
     }
 }
 
@@ -761,34 +1034,123 @@ async function saveScreenshot(driver, folderPath, fileName, order) {
     console.log(`Screenshot saved: ${screenshotPath}`);
 }
 
-async function handleScreenshotRequest(username, whatsappNumber) {
-    const requestId = uuidv4();
+// "about 5 minutes"; waits are estimates, so round up to whole minutes
+function formatWait(seconds) {
+    if (seconds < 60) return 'less than a minute';
+    const minutes = Math.ceil(seconds / 60);
+    return `about ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Tell a client whose request cannot start right away where it stands
+async function sendQueuePosition(job, whatsappNumber) {
+    const wait = jobManager.estimateWait(job);
+    if (!wait) return;
+
+    try {
+        await sendWhatsAppMessage(whatsappNumber, {
+            messaging_product: "whatsapp",
+            to: whatsappNumber,
+            type: "text",
+            text: {
+                body: `Your request is in queue (Position: ${jobManager.queuePosition(job)}). ` +
+                      `Estimated wait: ${formatWait(wait.seconds)}. We'll process it shortly.`
+            }
+        });
+    } catch (error) {
+        console.error(`Failed to send queue position for request ${job.id}:`, error.message);
+    }
+}
+
+// "Still working, journal 3 of 5" for a request that is taking a while
+async function sendProgressUpdate(job) {
+    const current = job.journals.findIndex(journal => journal.status === 'running');
+    if (current === -1) return;
+
+    try {
+        await sendToRequesters(job, {
+            type: "text",
+            text: {
+                body: `⏳ Still working on your request: journal ${current + 1} of ${job.journals.length}. ` +
+                      `Estimated time left: ${formatWait(jobManager.remainingSeconds(job))}.`
+            }
+        });
+    } catch (error) {
+        console.error(`Failed to send progress update for request ${job.id}:`, error.message);
+    }
+}
+
+// Send one message to everyone waiting on a job (duplicate requests are joined into one job)
+async function sendToRequesters(job, message) {
+    for (const number of job.requesters) {
+        await sendWhatsAppMessage(number, { messaging_product: "whatsapp", to: number, ...message });
+    }
+}
+
+// Queue a job at its priority class. Jobs waiting on a client lock are added once it frees,
+// so a priority raised in the meantime still applies.
+function enqueueJob(job, task) {
+    return requestQueue.add(task, { priority: JOB_PRIORITIES[job.priority], id: job.id });
+}
+
+// A request joined a queued job with a higher priority class
+function prioritizeJob(job, priority) {
+    if (!jobManager.raisePriority(job, priority)) return;
+    try {
+        requestQueue.setPriority(job.id, JOB_PRIORITIES[priority]);
+    } catch (error) {
+        // Not in the request queue yet (waiting on its client lock)
+    }
+}
+
+// Queue a WhatsApp status request and return its job at once, with `done` settling when the
+// results are sent. A duplicate of a request still in the queue joins it instead (coalesced),
+// and a requester over their cap of pending requests gets a QueueLimitError.
+async function queueScreenshotRequest(username, whatsappNumber, options = {}) {
+    // sendUnchanged: resend screenshots of journals whose status did not change (e.g. on retry)
+    // requestId: chosen by the caller (job API) or kept when a job interrupted by a restart is resumed
+    // priority: interactive (WhatsApp), api or background; resumed: skips the per-requester cap
+    const { sendUnchanged = false, priority = 'interactive', resumed = false } = options;
+
+    const queued = jobManager.findQueued('whatsapp', username);
+    if (queued) {
+        console.log(`Request for ${username} joins queued request ${queued.id}`);
+        if (sendUnchanged) queued.payload.options.sendUnchanged = true;
+        await jobManager.join(queued, whatsappNumber);
+        prioritizeJob(queued, priority);
+        return { job: queued, done: queued.done, coalesced: true };
+    }
+    if (!resumed) jobManager.checkLimit(whatsappNumber);
+
+    const requestId = options.requestId || uuidv4();
     const startTime = new Date();
-    
-    await logger.logUserRequest({
-        requestId,
-        from: whatsappNumber,
-        searchQuery: username,
-        startTime: startTime.toISOString(),
-        status: 'queued',
-        queuePosition: requestQueue.size + 1
-    });
 
-    return requestQueue.add(async () => {
+    // Registered (and persisted) first so GET /jobs/:id finds it right away
+    const job = await jobManager.create({
+        id: requestId,
+        type: 'whatsapp',
+        subject: username,
+        payload: { username, requesters: [whatsappNumber], options: { sendUnchanged, priority } },
+        whatsappNumber,
+        priority
+    });
+    const { signal } = job.controller;
+
+    // Waiting behind a full queue, or behind this client's previous request
+    const wait = jobManager.estimateWait(job);
+    const waitsInQueue = wait && (wait.ahead >= jobManager.concurrency || userLocks.has(username));
+    const queuePosition = jobManager.queuePosition(job);
+
+    jobManager.queue(job, withUserLock(username, () => enqueueJob(job, async () => {
+        // Cancelled while waiting in the queue
+        if (signal.aborted) return null;
+
+        let failure = null;
+        let jobResult = null;
+        const progressTimer = PROGRESS_UPDATE_MINUTES > 0
+            ? setInterval(() => sendProgressUpdate(job), PROGRESS_UPDATE_MINUTES * 60 * 1000)
+            : null;
         try {
-            queueStats.current++;
-            
-            // Send queue position message
-            // if (requestQueue.size > 0) {
-            //   await sendWhatsAppMessage(whatsappNumber, {
-            //     messaging_product: "whatsapp",
-            //     to: whatsappNumber,
-            //     type: "text",
-            //     text: { 
-            //       body: `Your request is in queue (Position: ${queueStats.getPosition(requestId)}). We'll process it shortly.` 
-            //     }
-            //   });
-            // }
+            await jobManager.start(job);
 
             console.log(`Processing request ${requestId} for user ${username}`);
 
@@ -812,9 +1174,10 @@ async function handleScreenshotRequest(username, whatsappNumber) {
             console.log("Searching for:", username);
 
             // First try to find by Personal_Email
+            let searchType = 'email';
             let { data: emailRows, error: emailError } = await supabase
                 .from('journal_data')
-                .select('journal_link as url, username, password')
+                .select('id, journal_link as url, username, password')
                 .eq('personal_email', username);
 
             if (emailError) throw emailError;
@@ -823,41 +1186,40 @@ async function handleScreenshotRequest(username, whatsappNumber) {
             if (!emailRows || emailRows.length === 0) {
                 const { data: clientRows, error: clientError } = await supabase
                     .from('journal_data')
-                    .select('journal_link as url, username, password')
+                    .select('id, journal_link as url, username, password')
                     .eq('client_name', username);
 
                 if (clientError) throw clientError;
                 emailRows = clientRows;
+                searchType = 'client';
             }
 
             if (!emailRows || emailRows.length === 0) {
-                await sendWhatsAppMessage(whatsappNumber, {
-                    messaging_product: "whatsapp",
-                    to: whatsappNumber,
+                await sendToRequesters(job, {
                     type: "text",
                     text: { body: "No account information found for the provided identifier. Please verify your Client Name or Email address and try again." }
                 });
                 return;
             }
 
+            await dbService.saveWhatsAppNumber(emailRows.map(row => row.id), whatsappNumber);
+
             // Send greeting with found information
-            const searchTypeText = rows.searchType === 'email' ? 'email address' : 'client name';
-            await sendWhatsAppMessage(whatsappNumber, {
-                messaging_product: "whatsapp",
-                to: whatsappNumber,
+            const searchTypeText = searchType === 'email' ? 'email address' : 'client name';
+            await sendToRequesters(job, {
                 type: "text",
                 text: { 
                     body: `✓ Request received for ${username}\n` +
-                          `Found ${rows.rows.length} journal(s) linked to your ${searchTypeText}.\n` +
+                          `Found ${emailRows.length} journal(s) linked to your ${searchTypeText}.\n` +
                           `Processing your request...`
                 }
             });
 
             // Process automation and generate new screenshots
-            let matches = rows.rows.map(row => {
+            let matches = emailRows.map(row => {
 
                 // Try decryption with detailed logging
-                let decrypted = {};
+                let decrypted = { journalId: row.id };
                 try {
                     decrypted.url = row.url ? decrypt(row.url) : '';
                     // console.log('Decrypted URL:', decrypted.url);
@@ -889,53 +1251,106 @@ async function handleScreenshotRequest(username, whatsappNumber) {
             });
 
             if (matches.length === 0) {
-                await sendWhatsAppMessage(whatsappNumber, {
-                    messaging_product: "whatsapp",
-                    to: whatsappNumber,
+                await sendToRequesters(job, {
                     type: "text",
                     text: { body: "We found your account, but there appear to be missing or incomplete journal credentials. Please contact support for assistance." }
                 });
                 return;
             }
 
+            // Structured status records per journal, returned to API callers
+            const statuses = [];
+            jobManager.setJournals(job, matches.map((match, index) => ({
+                journal: index + 1,
+                portal: portalRegistry.resolve(match.url)?.id || null
+            })));
+
             // Process matches in handleScreenshotRequest only
             if (matches.length > 0) {
                 for (const [index, match] of matches.entries()) {
+                    signal.throwIfAborted();
                     const journalStartTime = new Date().toISOString();
+                    jobManager.updateJournal(job, index, { status: 'running', startedAt: journalStartTime });
                     
                     try {
-                        await handleJournal(match, index + 1, whatsappNumber, username);
+                        const result = await handleJournal(match, index + 1, whatsappNumber, username, requestId, signal);
+                        statuses.push({
+                            journal: index + 1,
+                            journalId: match.journalId,
+                            portal: result.portal,
+                            records: result.statuses,
+                            change: result.change
+                        });
+
+                        // Only changed journals get their screenshots re-sent
+                        if (result.change && !result.change.changed && !job.payload.options.sendUnchanged) {
+                            const session = screenshotManager.sessions.get(username);
+                            result.screenshots.forEach(file => session?.screenshots.delete(file));
+                        }
                         
                         await logger.updateJournalStatus(requestId, {
                             url: match.url,
                             name: `Journal ${index + 1}`,
+                            portal: result.portal,
                             startTime: journalStartTime,
                             completionTime: new Date().toISOString(),
                             status: 'completed'
                         });
+                        jobManager.updateJournal(job, index, {
+                            status: 'completed',
+                            finishedAt: new Date().toISOString(),
+                            changed: result.change ? result.change.changed : null
+                        });
                     } catch (error) {
+                        if (signal.aborted) {
+                            jobManager.updateJournal(job, index, { status: 'cancelled', finishedAt: new Date().toISOString() });
+                            throw signal.reason;
+                        }
+                        // A journal past its deadline or stopped by a bot check fails alone; the rest still run
+                        const outcome = failureOutcome(error);
+                        jobManager.updateJournal(job, index, {
+                            status: outcome,
+                            finishedAt: new Date().toISOString(),
+                            error: error.message,
+                            code: error.code
+                        });
                         await logger.updateJournalStatus(requestId, {
                             url: match.url,
                             name: `Journal ${index + 1}`,
+                            portal: job.journals[index].portal,
                             startTime: journalStartTime,
                             completionTime: new Date().toISOString(),
-                            status: 'error',
-                            error: error.message
+                            status: outcome,
+                            error: error.message,
+                            errorCode: error.code
                         });
+                        await sendToRequesters(job, {
+                            type: "text",
+                            text: { body: `⚠️ ${describeFailure(error.code, `Journal ${index + 1}`)}` }
+                        }).catch(sendError => console.error('Failed to send journal failure message:', sendError.message));
                     }
                 }
             }
 
+            // Tell the client what moved (or that nothing did) before the screenshots
+            const changeSummaries = statuses
+                .filter(status => status.change)
+                .map(status => formatChangeSummary(`Journal ${status.journal}`, status.change));
+            if (changeSummaries.length > 0) {
+                await sendToRequesters(job, {
+                    type: "text",
+                    text: { body: changeSummaries.join('\n\n') }
+                });
+            }
+
             // Send all captured screenshots at once
-            await screenshotManager.sendToWhatsApp(whatsappNumber, username);
+            await screenshotManager.sendToWhatsApp(job.requesters, username);
 
             // Clear the screenshots set after processing
             newlyGeneratedScreenshots.clear();
 
             // Send completion message
-            await sendWhatsAppMessage(whatsappNumber, {
-                messaging_product: "whatsapp",
-                to: whatsappNumber,
+            await sendToRequesters(job, {
                 type: "text",
                 text: { body: "All new status updates have been sent." }
             });
@@ -950,11 +1365,28 @@ async function handleScreenshotRequest(username, whatsappNumber) {
                 completionTime: endTime.toISOString(),
                 totalDuration: duration
             });
+            durationStats.recordRequest(duration);
 
-            // Return matches for webhook handler
-            return { matches };
+            // Return matches for webhook handler; requestId locates the execution traces
+            jobResult = { statuses };
+            return { requestId, matches, statuses };
 
         } catch (error) {
+            failure = error;
+            if (signal.aborted) {
+                console.log(`Request ${requestId} was cancelled`);
+                await logger.logUserRequest({
+                    requestId,
+                    status: 'error',
+                    error: 'Cancelled',
+                    completionTime: new Date().toISOString()
+                });
+                await sendToRequesters(job, {
+                    type: "text",
+                    text: { body: `Your status check for ${username} was cancelled.` }
+                }).catch(() => {});
+                return null;
+            }
             console.error(`Error processing request ${requestId}:`, error);
             // Log error
             const endTime = new Date();
@@ -969,12 +1401,46 @@ async function handleScreenshotRequest(username, whatsappNumber) {
             });
             throw error;
         } finally {
-            queueStats.current--;
+            clearInterval(progressTimer);
+            await jobManager.finish(job, { result: jobResult, error: failure });
             // Cleanup
             await screenshotManager.deleteUserFolder(username);
             console.log(`Completed request ${requestId}`);
         }
+    })));
+
+    await logger.logUserRequest({
+        requestId,
+        from: whatsappNumber,
+        searchQuery: username,
+        startTime: startTime.toISOString(),
+        status: 'queued',
+        queuePosition
     });
+    if (waitsInQueue) {
+        await sendQueuePosition(job, whatsappNumber);
+    }
+
+    return { job, done: job.done, coalesced: false };
+}
+
+// Queue a WhatsApp status request and wait for its results
+async function handleScreenshotRequest(username, whatsappNumber, options = {}) {
+    try {
+        const { done } = await queueScreenshotRequest(username, whatsappNumber, options);
+        return await done;
+    } catch (error) {
+        if (!(error instanceof QueueLimitError)) throw error;
+
+        console.log(`Request for ${username} from ${whatsappNumber} refused: ${error.message}`);
+        await sendWhatsAppMessage(whatsappNumber, {
+            messaging_product: "whatsapp",
+            to: whatsappNumber,
+            type: "text",
+            text: { body: `You already have ${error.limit} status request(s) in progress. We'll send your results as soon as they finish.` }
+        });
+        return null;
+    }
 }
 
 // Initialize services
@@ -997,64 +1463,55 @@ setInterval(() => {
 }, 15 * 60 * 1000);
 
 // Add automateProcess function definition
-async function automateProcess(match, order, whatsappNumber, userId) {
+async function automateProcess(match, order, whatsappNumber, userId, trace = null, watchdog = null) {
     try {
-        const options = new chrome.Options();
-        
-        // Updated Chrome options to match Python's SeleniumBase configuration
-        options.addArguments([
-            '--headless=new',  // Use new headless mode
-            '--no-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',   // Disable GPU hardware acceleration
-            '--disable-software-rasterizer',
-            '--disable-extensions',
-            '--disable-notifications',
-            '--window-size=1920,1080',
-            // '--start-maximized',
-            '--force-device-scale-factor=1',
-            '--hide-scrollbars'
-        ]);
-
-        // Add required preferences
-        options.setUserPreferences({
-            'profile.default_content_setting_values.notifications': 2,
-            'profile.default_content_settings.popups': 0,
-            'download.prompt_for_download': false
-        });
+        // Parse the keys script up front so a broken script never costs a browser session
+        const portal = portalRegistry.get(match.url);
+        const program = loadKeysScript(portal.keysFile);
 
-        const driver = await new Builder()
-            .forBrowser('chrome')
-            .setChromeOptions(options)
-            .build();
-            
-        try {
-            // Set window size explicitly after browser creation
-            // await driver.manage().window().setRect({
-            //     width: 1920,
-            //     height: 1080,
-            //     x: 0,
-            //     y: 0
-            // });
-            
-            // Add small delay after window setup
-            await driver.sleep(1000);
-            
-            await driver.get(match.url);
+        // Scripts that can skip their login (IF-SESSION) get the account's saved session back;
+        // the rest always start logged out
+        const keepsSession = Boolean(match.journalId) && usesInstruction(program, "IF-SESSION");
+        const session = keepsSession ? await sessionStore.load(match) : null;
+
+        // Pooled browser: waits for a global and per-portal slot and is thrown away after the run
+        return await browserPool.run(portal, async (driver) => {
+            watchdog?.start();
+
+            const restored = session && await guardStep(watchdog, 'restore session', () => sessionStore.restore(driver, session));
+            try {
+                await guardStep(watchdog, `open ${match.url}`, () => driver.get(match.url));
+            } finally {
+                await restored?.done();
+            }
             await driver.sleep(2000); // Wait for page load
-            
-            await executeInstructions(
-                driver, 
-                match.username, 
-                match.password, 
-                order, 
-                match.url, 
-                whatsappNumber,
-                userId
-            );
-        } finally {
-            await driver.quit();
-        }
+
+            let records;
+            try {
+                records = await executeInstructions(
+                    driver, 
+                    match.username, 
+                    match.password, 
+                    order, 
+                    match.url, 
+                    whatsappNumber,
+                    userId,
+                    program,
+                    trace,
+                    watchdog,
+                    Boolean(restored)
+                );
+            } catch (error) {
+                // A rejected login means the saved session is no use either
+                if (session && error.code === 'LOGIN_FAILED') await sessionStore.clear(match.journalId);
+                throw error;
+            }
+
+            if (keepsSession) {
+                await guardStep(watchdog, 'save session', () => sessionStore.save(match, driver));
+            }
+            return records;
+        }, { url: match.url, signal: watchdog?.signal });
     } catch (error) {
         console.error('Automation process error:', error);
         throw error;
@@ -1109,7 +1566,6 @@ export function initializeServices() {
         screenshotManager,
         SessionManager,
         requestQueue,
-        queueStats,
         processedMessages,
         handleScreenshotRequest,
         sendWhatsAppMessage,
@@ -1134,9 +1590,12 @@ export {
     screenshotManager,
     SessionManager,
     requestQueue,
-    queueStats,
+    withUserLock,
     processedMessages,
     handleScreenshotRequest,
+    queueScreenshotRequest,
+    enqueueJob,
+    prioritizeJob,
     sendWhatsAppMessage,
     sendWhatsAppImage,
     executeInstructions,
@@ -1201,13 +1660,85 @@ async function sendFeedbackRequest(whatsappNumber, username) {
     }
 }
 
+// Interrupted requests older than this are failed rather than re-run
+const JOB_RESUME_HOURS = Number(process.env.JOB_RESUME_HOURS) || 6;
+const MAX_JOB_ATTEMPTS = 2;
+
+// Re-queue WhatsApp requests left queued or running by the previous server process and
+// tell each client what happened; requests that are too old or keep dying are failed instead
+async function resumeInterruptedJobs() {
+    const jobs = await jobStore.interrupted();
+    if (jobs.length > 0) {
+        console.log(`Found ${jobs.length} request(s) interrupted by a restart`);
+    }
+
+    for (const job of jobs) {
+        // Status captures started through the API are not re-run; the caller sees the failure at GET /jobs/:id
+        if (job.type !== 'whatsapp') {
+            await jobStore.finish(job.id, { status: 'failed', error: 'Interrupted by a server restart' });
+            continue;
+        }
+
+        const { username, options } = job.payload;
+        // Everyone whose duplicate request was joined into this one
+        const requesters = job.payload.requesters || [job.whatsappNumber].filter(Boolean);
+        const tooOld = Date.now() - new Date(job.createdAt).getTime() > JOB_RESUME_HOURS * 60 * 60 * 1000;
+        const exhausted = job.attempts >= MAX_JOB_ATTEMPTS;
+
+        let body;
+        if (tooOld || exhausted) {
+            await jobStore.finish(job.id, {
+                status: 'failed',
+                error: tooOld
+                    ? 'Interrupted by a server restart and too old to resume'
+                    : `Interrupted by a server restart ${job.attempts} times`
+            });
+            body = `⚠️ Our service restarted while working on your request for ${username}, and we could not complete it. Please send your request again.`;
+        } else if (job.status === 'running') {
+            body = `🔄 Our service restarted while checking ${username}. We are starting your request again now.`;
+        } else {
+            body = `🔄 Our service restarted. Your request for ${username} is still in the queue and will be processed shortly.`;
+        }
+
+        for (const number of requesters) {
+            try {
+                await sendWhatsAppMessage(number, {
+                    messaging_product: "whatsapp",
+                    to: number,
+                    type: "text",
+                    text: { body }
+                });
+            } catch (error) {
+                console.error(`Failed to notify client of interrupted request ${job.id}:`, error.message);
+            }
+        }
+
+        if (!tooOld && !exhausted) {
+            try {
+                const { job: resumed, done } = await queueScreenshotRequest(username, requesters[0], {
+                    ...options,
+                    requestId: job.id,
+                    resumed: true
+                });
+                for (const number of requesters.slice(1)) {
+                    await jobManager.join(resumed, number);
+                }
+                done.catch(error => console.error(`Resumed request ${job.id} failed:`, error.message));
+            } catch (error) {
+                console.error(`Failed to resume request ${job.id}:`, error.message);
+            }
+        }
+    }
+}
+
 // Add function to handle reprocessing
 async function reprocessRequest(username, whatsappNumber) {
-    return handleScreenshotRequest(username, whatsappNumber);
+    return handleScreenshotRequest(username, whatsappNumber, { sendUnchanged: true });
 }
 
 // Update exports
 export {
     reprocessRequest,
-    sendFeedbackRequest
+    sendFeedbackRequest,
+    resumeInterruptedJobs
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { algorithm, key, iv } from './services.js';
+import { dbService } from './dbService.js';
+
+// Saved sessions older than this are not restored; the script logs in again
+const SESSION_MAX_AGE_HOURS = Number(process.env.SESSION_MAX_AGE_HOURS) || 72;
+
+// CDP cookie fields that Network.setCookies accepts back
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'secure', 'httpOnly', 'sameSite'];
+
+// Reads the page's localStorage; runs in the browser
+const READ_STORAGE_SCRIPT = `
+    const items = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const name = localStorage.key(i);
+        items[name] = localStorage.getItem(name);
+    }
+    return { origin: location.origin, items };
+`;
+
+// Sessions are encrypted with the credential key and a random IV per session: "<iv hex>:<data hex>"
+function encryptState(state) {
+    const sessionIv = crypto.randomBytes(iv.length);
+    const cipher = crypto.createCipheriv(algorithm, key, sessionIv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+    return `${sessionIv.toString('hex')}:${data.toString('hex')}`;
+}
+
+function decryptState(text) {
+    const [ivHex, dataHex] = text.split(':');
+    const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(ivHex, 'hex'));
+    const data = Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+}
+
+// Cookies and localStorage of a logged-in browser, kept per journal_data account so the next
+// check can skip the login (see IF-SESSION). A session is only restored for the credentials it
+// was saved with.
+export const sessionStore = {
+    // Keyed hash of the account's credentials; changing the username or password drops the session
+    fingerprint(match) {
+        return crypto.createHmac('sha256', key)
+            .update(`${match.username}\0${match.password}`)
+            .digest('hex')
+            .slice(0, 16);
+    },
+
+    // Saved session for an account, or null when there is none, it is too old or unreadable
+    async load(match) {
+        try {
+            const stored = await dbService.getSessionState(match.journalId);
+            if (!stored?.state) return null;
+
+            const state = decryptState(stored.state);
+            const ageHours = (Date.now() - new Date(state.savedAt).getTime()) / (60 * 60 * 1000);
+            if (state.fingerprint !== this.fingerprint(match) || ageHours > SESSION_MAX_AGE_HOURS) {
+                return null;
+            }
+            return state;
+        } catch (error) {
+            console.error(`Could not load the saved session for journal ${match.journalId}:`, error.message);
+            return null;
+        }
+    },
+
+    // Put a saved session into a fresh browser before it navigates. Cookies are set right away;
+    // localStorage is written by a script that runs as its origin loads, until `done` is called.
+    // Null when the session could not be restored; the script then logs in as usual.
+    async restore(driver, state) {
+        try {
+            const cookies = state.cookies.map(cookie => {
+                const restored = Object.fromEntries(COOKIE_FIELDS.filter(field => cookie[field] !== undefined).map(field => [field, cookie[field]]));
+                if (!cookie.session && cookie.expires > 0) restored.expires = cookie.expires;
+                return restored;
+            });
+            await driver.sendDevToolsCommand('Network.setCookies', { cookies });
+
+            let scriptId = null;
+            if (state.storage.length > 0) {
+                const source = `(() => {
+                    const storage = ${JSON.stringify(Object.fromEntries(state.storage.map(entry => [entry.origin, entry.items])))};
+                    const items = storage[location.origin];
+                    if (!items) return;
+                    for (const [name, value] of Object.entries(items)) localStorage.setItem(name, value);
+                })();`;
+                ({ identifier: scriptId } = await driver.sendAndGetDevToolsCommand('Page.addScriptToEvaluateOnNewDocument', { source }));
+            }
+
+            console.log(`Restored saved session (${cookies.length} cookies, saved ${state.savedAt})`);
+            return {
+                done: async () => {
+                    if (scriptId) await driver.sendDevToolsCommand('Page.removeScriptToEvaluateOnNewDocument', { identifier: scriptId });
+                }
+            };
+        } catch (error) {
+            console.error('Could not restore the saved session:', error.message);
+            return null;
+        }
+    },
+
+    // Save the browser's session after a successful run; best effort
+    async save(match, driver) {
+        try {
+            const { cookies } = await driver.sendAndGetDevToolsCommand('Network.getAllCookies');
+            const storage = [];
+            const page = await driver.executeScript(READ_STORAGE_SCRIPT);
+            if (page.origin.startsWith('http') && Object.keys(page.items).length > 0) storage.push(page);
+
+            const state = {
+                fingerprint: this.fingerprint(match),
+                savedAt: new Date().toISOString(),
+                cookies,
+                storage
+            };
+            await dbService.saveSessionState(match.journalId, encryptState(state), state.savedAt);
+        } catch (error) {
+            console.error(`Could not save the session for journal ${match.journalId}:`, error.message);
+        }
+    },
+
+    async clear(journalId) {
+        try {
+            await dbService.saveSessionState(journalId, null, null);
+        } catch (error) {
+            console.error(`Could not clear the saved session for journal ${journalId}:`, error.message);
+        }
+    }
+};
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { dbService } from './dbService.js';
+
+// dHash grid: 9x8 greyscale samples give 64 left/right gradient bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Screenshots whose hashes differ by at most this many bits count as the same page
+const HASH_DISTANCE_THRESHOLD = 6;
+
+// Perceptual (difference) hash of a PNG screenshot as a 16 character hex string
+export function hashScreenshot(filepath) {
+    const png = PNG.sync.read(fs.readFileSync(filepath));
+    const cellWidth = png.width / HASH_WIDTH;
+    const cellHeight = png.height / HASH_HEIGHT;
+
+    // Average the luminance of each grid cell (sampled to keep full-page screenshots cheap)
+    const grid = [];
+    for (let gy = 0; gy < HASH_HEIGHT; gy++) {
+        for (let gx = 0; gx < HASH_WIDTH; gx++) {
+            const x0 = Math.floor(gx * cellWidth);
+            const y0 = Math.floor(gy * cellHeight);
+            const x1 = Math.max(Math.floor((gx + 1) * cellWidth), x0 + 1);
+            const y1 = Math.max(Math.floor((gy + 1) * cellHeight), y0 + 1);
+            const step = Math.max(1, Math.floor(Math.min(x1 - x0, y1 - y0) / 16));
+
+            let total = 0;
+            let count = 0;
+            for (let y = y0; y < y1; y += step) {
+                for (let x = x0; x < x1; x += step) {
+                    const i = (y * png.width + x) * 4;
+                    total += 0.299 * png.data[i] + 0.587 * png.data[i + 1] + 0.114 * png.data[i + 2];
+                    count++;
+                }
+            }
+            grid.push(total / count);
+        }
+    }
+
+    let hash = 0n;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const left = grid[y * HASH_WIDTH + x];
+            const right = grid[y * HASH_WIDTH + x + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+function hashDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (diff) {
+        bits += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return bits;
+}
+
+// Manuscripts are matched across runs by number, falling back to title
+function recordKey(record) {
+    return (record.manuscriptNumber || record.title || '').trim().toLowerCase();
+}
+
+function describeRecord(record) {
+    return record.manuscriptNumber || record.title;
+}
+
+// Compare two status snapshots ({ records, screenshots: [{ name, hash }] })
+export function diffStatuses(previous, current) {
+    if (!previous) {
+        return { changed: true, firstCheck: true, since: null, moved: [], added: current.records, removed: [] };
+    }
+
+    const moved = [];
+    const added = [];
+    const previousByKey = new Map(previous.records.map(record => [recordKey(record), record]));
+
+    for (const record of current.records) {
+        const before = previousByKey.get(recordKey(record));
+        if (!before) {
+            added.push(record);
+        } else if (before.status !== record.status || before.folder !== record.folder) {
+            moved.push({
+                manuscriptNumber: record.manuscriptNumber,
+                title: record.title,
+                from: { status: before.status, folder: before.folder, statusDate: before.statusDate },
+                to: { status: record.status, folder: record.folder, statusDate: record.statusDate }
+            });
+        }
+        previousByKey.delete(recordKey(record));
+    }
+    // A read without records (e.g. only screenshots) says nothing about the manuscripts listed
+    // before: they are not reported as removed and the screenshots alone decide
+    const removed = current.records.length > 0 ? [...previousByKey.values()] : [];
+
+    // Structured records are authoritative; screenshots decide only when a side has none.
+    // A read that found nothing at all is not a change.
+    let changed;
+    if (previous.records.length > 0 && current.records.length > 0) {
+        changed = moved.length > 0 || added.length > 0 || removed.length > 0;
+    } else if (current.records.length === 0 && current.screenshots.length === 0) {
+        changed = false;
+    } else {
+        const unmatched = [...previous.screenshots];
+        changed = current.screenshots.length !== previous.screenshots.length ||
+            current.screenshots.some(shot => {
+                const index = unmatched.findIndex(old => hashDistance(old.hash, shot.hash) <= HASH_DISTANCE_THRESHOLD);
+                if (index === -1) return true;
+                unmatched.splice(index, 1);
+                return false;
+            });
+    }
+
+    return { changed, firstCheck: false, since: previous.changedAt, moved, added, removed };
+}
+
+// Human readable summary of a journal's diff for WhatsApp replies
+export function formatChangeSummary(label, diff) {
+    if (diff.firstCheck) {
+        return `${label}: first status check recorded.`;
+    }
+    if (!diff.changed) {
+        const since = diff.since ? new Date(diff.since).toISOString().slice(0, 10) : 'the last check';
+        return `${label}: no change since ${since}.`;
+    }
+
+    const lines = [`${label}: status changed.`];
+    for (const move of diff.moved) {
+        lines.push(`• ${describeRecord(move)}: ${move.from.status} → ${move.to.status}`);
+    }
+    for (const record of diff.added) {
+        lines.push(`• ${describeRecord(record)}: new (${record.status})`);
+    }
+    for (const record of diff.removed) {
+        lines.push(`• ${describeRecord(record)}: no longer listed (was ${record.status})`);
+    }
+    return lines.join('\n');
+}
+
+export const statusTracker = {
+    // Diff a run against the journal's last known status and store the new one
+    async track(journalId, { records = [], screenshots = [] }) {
+        const current = {
+            records: records.map(({ manuscriptNumber, title, status, statusDate, folder }) =>
+                ({ manuscriptNumber, title, status, statusDate, folder })),
+            screenshots: screenshots
+                .filter(filepath => fs.existsSync(filepath))
+                .map(filepath => ({
+                    name: path.basename(filepath, '.png').replace(/_\d{8}T\d+Z?$/, ''),
+                    hash: hashScreenshot(filepath)
+                }))
+        };
+
+        const previous = await dbService.getLastStatus(journalId);
+        const diff = diffStatuses(previous, current);
+        const checkedAt = new Date().toISOString();
+
+        // A run that read nothing at all keeps the last snapshot, so the next good read is
+        // compared with what was known rather than reported as all new
+        if (current.records.length === 0 && current.screenshots.length === 0) {
+            return diff;
+        }
+
+        // Records last read are kept when this run only took screenshots
+        await dbService.saveLastStatus(journalId, {
+            records: current.records.length > 0 || !previous ? current.records : previous.records,
+            screenshots: current.screenshots,
+            checkedAt,
+            changedAt: diff.changed ? checkedAt : previous.changedAt
+        });
+
+        return diff;
+    }
+};
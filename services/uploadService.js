@@ -3,7 +3,10 @@ import { logger } from '../utils/Logger.js';
 import fs from 'fs';
 import path from 'path';
 import { handleJournal } from '../handlers/journalHandlers.js';
-import { decrypt } from './services.js';
+import { decrypt, enqueueJob, prioritizeJob, withUserLock } from './services.js';
+import { jobManager, failureOutcome } from './jobManager.js';
+import { formatChangeSummary } from './statusTracker.js';
+import { v4 as uuidv4 } from 'uuid';
 
 export const uploadService = {
     async uploadScreenshotAndUpdateStatus(journalId, clientEmail, screenshotBuffer) {
@@ -193,11 +196,21 @@ export const uploadService = {
         }
     },
 
-    async automateScreenshotCapture(journalId) {
+    // requestId: the job ID when run through queueStatusCapture; signal: cancels the run
+    async automateScreenshotCapture(journalId, { requestId = uuidv4(), signal = null } = {}) {
         const tempFolder = 'screenshots';
         let userFolder = null;
         let screenshotResult = null;
         const journalIdStr = String(journalId);
+        const startTime = new Date();
+
+        await logger.logUserRequest({
+            requestId,
+            from: null,
+            searchQuery: `journal:${journalIdStr}`,
+            startTime: startTime.toISOString(),
+            status: 'started'
+        });
         
         try {
             const journalFolder = path.join(tempFolder, journalIdStr);
@@ -215,11 +228,12 @@ export const uploadService = {
 
             // Get journal details and execute automation
             const journalDetails = await this.getJournalDetails(journalId);
-            const screenshots = await handleJournal({
+            const { portal, screenshots, statuses, change } = await handleJournal({
+                journalId: journalDetails.journalId,
                 url: journalDetails.url,
                 username: journalDetails.username,
                 password: journalDetails.password
-            }, 1, null, journalIdStr);  // Pass null for whatsappNumber to indicate upload-status request
+            }, 1, null, journalIdStr, requestId, signal);  // Pass null for whatsappNumber to indicate upload-status request
 
             if (!screenshots || screenshots.length === 0) {
                 throw new Error('No screenshots were generated');
@@ -240,16 +254,35 @@ export const uploadService = {
                 screenshotBuffers
             );
 
+            await logger.logUserRequest({
+                requestId,
+                status: 'completed',
+                completionTime: new Date().toISOString()
+            });
+
             return {
                 success: true,
+                requestId,
                 journalId: journalDetails.journalId,
                 searchQuery: journalDetails.searchQuery,
+                portal,
                 screenshots: screenshots,
+                statuses,
+                change,
+                summary: change ? formatChangeSummary(`Journal ${journalIdStr}`, change) : null,
+                statusLink: uploadResult.url,
                 count: uploadResult.count
             };
 
         } catch (error) {
             console.error('Automation error:', error);
+            await logger.logUserRequest({
+                requestId,
+                status: 'error',
+                error: error.message,
+                completionTime: new Date().toISOString()
+            });
+            error.requestId = requestId;
             throw error;
         } finally {
             // Clean up
@@ -262,5 +295,79 @@ export const uploadService = {
                 console.error('Cleanup error:', cleanupError);
             }
         }
+    },
+
+    // Queue a status capture as a job. Returns the job at once (for GET /jobs/:id) and
+    // `done`, which settles with the capture result (null if the job was cancelled).
+    // priority: api or background; a capture of the same journal still in the queue is joined.
+    // canStart: asked when the job comes up; false drops it (background checks in quiet hours).
+    // Each requester of a joined job keeps its own gate; the job is dropped only when every
+    // requester is gated and no gate lets it run.
+    async queueStatusCapture(journalId, { priority = 'api', canStart = null } = {}) {
+        const journalIdStr = String(journalId);
+
+        const queued = jobManager.findQueued('upload', journalIdStr);
+        if (queued) {
+            // A requester without a gate (an API call) makes the job run whenever it comes up
+            queued.startGates = canStart && queued.startGates ? [...queued.startGates, canStart] : null;
+            prioritizeJob(queued, priority);
+            return { job: queued, done: queued.done, coalesced: true };
+        }
+
+        const job = await jobManager.create({
+            id: uuidv4(),
+            type: 'upload',
+            subject: journalIdStr,
+            payload: { journalId: journalIdStr },
+            priority
+        });
+        const { signal } = job.controller;
+        job.startGates = canStart ? [canStart] : null;
+
+        // Scheduled and API checks of the same journal share its screenshot folder and session, so
+        // they run one after another. The lock is taken before the job enters the request queue,
+        // so a capture waiting on it does not hold a queue slot.
+        jobManager.queue(job, withUserLock(journalIdStr, () => enqueueJob(job, async () => {
+            // Cancelled while waiting in the queue
+            if (signal.aborted) return null;
+            if (job.startGates && !job.startGates.map(gate => gate()).includes(true)) {
+                await jobManager.cancel(job);
+                return null;
+            }
+
+            let failure = null;
+            let result = null;
+            try {
+                await jobManager.start(job);
+                jobManager.setJournals(job, [{ journal: 1, journalId: journalIdStr }]);
+                jobManager.updateJournal(job, 0, { status: 'running', startedAt: new Date().toISOString() });
+
+                result = await this.automateScreenshotCapture(journalId, { requestId: job.id, signal });
+                jobManager.updateJournal(job, 0, {
+                    status: 'completed',
+                    portal: result.portal,
+                    finishedAt: new Date().toISOString(),
+                    changed: result.change ? result.change.changed : null
+                });
+                return result;
+            } catch (error) {
+                failure = error;
+                const outcome = failureOutcome(error);
+                jobManager.updateJournal(job, 0, {
+                    status: signal.aborted ? 'cancelled' : outcome,
+                    finishedAt: new Date().toISOString(),
+                    error: signal.aborted ? null : error.message,
+                    code: signal.aborted ? null : error.code || null
+                });
+                if (signal.aborted) return null;
+                throw error;
+            } finally {
+                // Local screenshot paths are gone once the run is cleaned up; keep the rest
+                const { screenshots, ...stored } = result || {};
+                await jobManager.finish(job, { result: result && stored, error: failure });
+            }
+        })));
+
+        return { job, done: job.done, coalesced: false };
     }
 };
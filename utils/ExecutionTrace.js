@@ -0,0 +1,146 @@
+// Longest active-element text kept per step
+const MAX_TEXT_LENGTH = 120;
+
+// Page context captured after every step; each lookup is best effort
+async function describePage(driver) {
+    if (!driver) return {};
+
+    const page = { url: null, activeElement: null };
+    try {
+        page.url = await driver.getCurrentUrl();
+    } catch (error) {
+        // Browser may already be gone
+    }
+    try {
+        const element = await driver.switchTo().activeElement();
+        const text = (await element.getText()) || '';
+        page.activeElement = {
+            tag: await element.getTagName(),
+            text: text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}...` : text
+        };
+    } catch (error) {
+        // No focusable element or the page is mid-navigation
+    }
+    return page;
+}
+
+// Structured record of one journal run: every step with timing, page context and outcome
+export class ExecutionTrace {
+    constructor({ requestId = null, journal = null, portal = null, url = null } = {}) {
+        this.requestId = requestId;
+        this.journal = journal;
+        this.portal = portal;
+        this.url = url;
+        this.startedAt = new Date();
+        this.completedAt = null;
+        this.status = 'running';
+        this.steps = [];
+        this.failure = null;
+    }
+
+    // Run an action as one step; `instruction` is a parsed KEYS node or a plain description
+    async step(driver, instruction, action) {
+        const started = Date.now();
+        const entry = typeof instruction === 'string'
+            ? { instruction }
+            : { instruction: instruction.source, file: instruction.file, line: instruction.line };
+
+        try {
+            const result = await action();
+            entry.outcome = 'ok';
+            if (typeof result === 'boolean') entry.result = result;
+            return result;
+        } catch (error) {
+            entry.outcome = 'error';
+            entry.error = error.message;
+            throw error;
+        } finally {
+            entry.startedMs = started - this.startedAt.getTime();
+            entry.elapsedMs = Date.now() - started;
+            Object.assign(entry, await describePage(driver));
+            this.steps.push(entry);
+        }
+    }
+
+    // Mark the run as failed, grabbing a screenshot and the page HTML while the browser is still open.
+    // Bot checks get their own 'captcha' status.
+    async fail(driver, error) {
+        const failedStep = [...this.steps].reverse().find(step => step.outcome === 'error');
+        this.status = error.code === 'CAPTCHA' ? 'captcha' : 'error';
+        this.failure = {
+            error: error.message,
+            code: error.code || null,
+            step: failedStep ? { instruction: failedStep.instruction, file: failedStep.file, line: failedStep.line } : null,
+            screenshot: null,
+            html: null
+        };
+
+        if (!driver) return;
+        try {
+            this.failure.screenshot = await driver.takeScreenshot();
+        } catch (captureError) {
+            console.error('Failed to capture failure screenshot:', captureError.message);
+        }
+        try {
+            this.failure.html = await driver.getPageSource();
+        } catch (captureError) {
+            console.error('Failed to capture failure page source:', captureError.message);
+        }
+    }
+
+    // A transient failure is being retried: note it as a step and start the run over
+    retry(error, attempt) {
+        this.steps.push({
+            instruction: `retry (attempt ${attempt})`,
+            outcome: 'retry',
+            error: `${error.code}: ${error.message}`,
+            startedMs: Date.now() - this.startedAt.getTime(),
+            elapsedMs: 0
+        });
+        this.status = 'running';
+        this.failure = null;
+    }
+
+    // Mark the run as cancelled by the user; not a failure, so nothing is captured
+    cancel() {
+        this.status = 'cancelled';
+    }
+
+    // Mark the run as stopped by a watchdog deadline
+    timeout(error) {
+        const failedStep = [...this.steps].reverse().find(step => step.outcome === 'error');
+        this.status = 'timeout';
+        this.failure = {
+            error: error.message,
+            code: 'TIMEOUT',
+            step: failedStep ? { instruction: failedStep.instruction, file: failedStep.file, line: failedStep.line } : null,
+            screenshot: null,
+            html: null
+        };
+    }
+
+    finish() {
+        this.completedAt = new Date();
+        if (this.status === 'running') {
+            this.status = 'completed';
+        }
+    }
+
+    toJSON() {
+        return {
+            requestId: this.requestId,
+            journal: this.journal,
+            portal: this.portal,
+            status: this.status,
+            startedAt: this.startedAt.toISOString(),
+            completedAt: this.completedAt?.toISOString() || null,
+            durationMs: (this.completedAt || new Date()) - this.startedAt,
+            steps: this.steps,
+            failure: this.failure && {
+                error: this.failure.error,
+                code: this.failure.code,
+                step: this.failure.step
+            }
+        };
+    }
+}
@@ -0,0 +1,227 @@
+// Failure codes for a journal run. Transient failures are retried with backoff; `reply` is what the
+// client is told on WhatsApp ({journal} is replaced with the journal's label).
+export const ERROR_CODES = {
+    LOGIN_FAILED: {
+        transient: false,
+        reply: "We couldn't sign in to {journal} with the saved username and password. Please check that they are still correct, or send the new ones to support."
+    },
+    CAPTCHA: {
+        transient: false,
+        reply: "{journal} asked us to prove we're human (a CAPTCHA), so we couldn't check it automatically this time. Please try again later."
+    },
+    OTP_REQUIRED: {
+        transient: false,
+        reply: "{journal} asked for a verification code and we didn't receive it in time, so we couldn't finish the check. Please try again and reply with the code when we ask for it."
+    },
+    PORTAL_DOWN: {
+        transient: true,
+        reply: "The {journal} website seems to be down or unreachable right now. Please try again in a little while."
+    },
+    TIMEOUT: {
+        transient: true,
+        reply: "{journal} took too long to respond, so we stopped the check. Please try again later."
+    },
+    BROWSER_CRASHED: {
+        transient: true,
+        reply: "Something went wrong on our side while checking {journal}. Please try again."
+    },
+    SCRIPT_ERROR: {
+        transient: false,
+        reply: "The {journal} website has changed and our automatic check needs updating. Our team will look into it; please contact support if you need the status urgently."
+    },
+    CONFIG_ERROR: {
+        transient: false,
+        reply: "{journal} is not set up for automatic checks yet. Please contact support."
+    },
+    UNKNOWN: {
+        transient: false,
+        reply: "We couldn't check {journal} this time. Please try again later."
+    }
+};
+
+// A classified journal failure; `cause` keeps the original error
+export class JournalError extends Error {
+    constructor(code, message, { cause = null } = {}) {
+        super(message);
+        this.name = 'JournalError';
+        this.code = ERROR_CODES[code] ? code : 'UNKNOWN';
+        this.cause = cause;
+    }
+
+    get transient() {
+        return ERROR_CODES[this.code].transient;
+    }
+}
+
+// Raw error name/message -> code, first match wins
+const ERROR_PATTERNS = [
+    ['TIMEOUT', error => error.name === 'DeadlineExceededError'],
+    ['CONFIG_ERROR', error => /keys file not found|configuration file missing|handler script not found|no handler for url|missing credentials/i.test(error.message)],
+    ['SCRIPT_ERROR', error => error.name === 'KeysSyntaxError' || /failed to parse python output|invalid arguments/i.test(error.message)],
+    ['BROWSER_CRASHED', error => ['NoSuchSessionError', 'SessionNotCreatedError'].includes(error.name) ||
+        /invalid session id|chrome not reachable|disconnected|session deleted|tab crashed|renderer/i.test(error.message)],
+    ['PORTAL_DOWN', error => /net::ERR_|ERR_NAME_NOT_RESOLVED|ERR_CONNECTION|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|\b50[234]\b.*(gateway|unavailable)/i.test(error.message)],
+    ['SCRIPT_ERROR', error => ['NoSuchElementError', 'ElementNotInteractableError', 'StaleElementReferenceError',
+        'ElementClickInterceptedError', 'TimeoutError', 'JavascriptError'].includes(error.name)]
+];
+
+// Classify any error from a journal run; errors that are already classified pass through
+export function classifyError(error) {
+    if (error instanceof JournalError) return error;
+
+    // Python portals report their own code
+    if (error.code && ERROR_CODES[error.code]) {
+        return new JournalError(error.code, error.message, { cause: error });
+    }
+
+    const [code] = ERROR_PATTERNS.find(([, matches]) => matches(error)) || ['UNKNOWN'];
+    return new JournalError(code, error.message, { cause: error });
+}
+
+// Names the bot check on the page (reCAPTCHA, hCaptcha, Cloudflare), or null. Invisible reCAPTCHA
+// badges and hidden challenge frames are ignored. Runs in the browser, so it must stay self-contained.
+const CHALLENGE_PAGE_SCRIPT = `
+    const shown = element => element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+    const widgets = [
+        ['reCAPTCHA challenge', 'iframe[src*="recaptcha/api2/bframe"], iframe[src*="recaptcha/enterprise/bframe"]'],
+        ['reCAPTCHA checkbox', 'iframe[src*="recaptcha/api2/anchor"]:not([src*="size=invisible"]), iframe[src*="recaptcha/enterprise/anchor"]:not([src*="size=invisible"])'],
+        ['hCaptcha', 'iframe[src*="hcaptcha.com"][src*="frame=checkbox"], iframe[src*="hcaptcha.com"][src*="frame=challenge"]'],
+        ['Cloudflare challenge', '#challenge-form, #challenge-running, #challenge-stage, iframe[src*="challenges.cloudflare.com"]']
+    ];
+    for (const [name, selector] of widgets) {
+        if (Array.from(document.querySelectorAll(selector)).some(shown)) return name;
+    }
+
+    const text = (document.body && document.body.innerText || '').slice(0, 5000);
+    const phrase = text.match(/verify (that )?you are (a )?human|are you a robot|complete the (security )?captcha|checking (if the site connection is secure|your browser before accessing)/i);
+    if (phrase) return phrase[0];
+    if (/^just a moment/i.test(document.title.trim())) return 'Cloudflare "Just a moment" page';
+    return null;
+`;
+
+// Reads the page the run stopped on: error pages, CAPTCHA challenges, rejected logins.
+// Runs in the browser, so it must stay self-contained.
+const DIAGNOSE_PAGE_SCRIPT = `
+    const text = (document.body && document.body.innerText || '').slice(0, 20000);
+    const visible = element => element && element.getClientRects().length > 0;
+
+    if (location.protocol === 'chrome-error:' ||
+        /this site can.t be reached|ERR_NAME_NOT_RESOLVED|ERR_CONNECTION|502 bad gateway|503 service|service (temporarily )?unavailable|504 gateway|down for (scheduled )?maintenance/i.test(text)) {
+        return { code: 'PORTAL_DOWN', evidence: document.title || location.href };
+    }
+
+    const challenge = (() => { ${CHALLENGE_PAGE_SCRIPT} })();
+    if (challenge) {
+        return { code: 'CAPTCHA', evidence: challenge };
+    }
+
+    const loginError = text.match(/(invalid|incorrect|wrong|unrecognized) (username|user name|user id|login|e-?mail|password|credentials)[^.\\n]*|login (failed|unsuccessful)|authentication failed|not a valid (username|password)/i);
+    const passwordField = Array.from(document.querySelectorAll('input[type="password"]')).some(visible);
+    if (loginError && passwordField) {
+        return { code: 'LOGIN_FAILED', evidence: loginError[0] };
+    }
+    return null;
+`;
+
+// Classify a failed Selenium run, looking at the page first while the browser is still open
+export async function diagnoseFailure(driver, error) {
+    if (error instanceof JournalError) return error;
+
+    try {
+        const problem = driver && await driver.executeScript(DIAGNOSE_PAGE_SCRIPT);
+        if (problem) {
+            return new JournalError(problem.code, `${error.message} (page shows: ${problem.evidence})`, { cause: error });
+        }
+    } catch (diagnoseError) {
+        // Browser gone or page mid-navigation; fall back to the error itself
+    }
+    return classifyError(error);
+}
+
+// CAPTCHA failure when the page is a bot check, otherwise null. Cheap enough to run before
+// every step that would otherwise act on (or capture) a challenge page.
+export async function detectChallenge(driver) {
+    const challenge = await driver.executeScript(CHALLENGE_PAGE_SCRIPT);
+    if (!challenge) return null;
+
+    let url = null;
+    try {
+        url = await driver.getCurrentUrl();
+    } catch (error) {
+        // Page mid-navigation; the challenge name is enough
+    }
+    return new JournalError('CAPTCHA', `Bot check on the page: ${challenge}${url ? ` (${url})` : ''}`);
+}
+
+// Page text, password field and diagnosis of the page a login was submitted from
+const LOGIN_PAGE_SCRIPT = `
+    const visible = element => element && element.getClientRects().length > 0;
+    return {
+        text: (document.body && document.body.innerText || '').slice(0, 20000),
+        passwordField: Array.from(document.querySelectorAll('input[type="password"]')).some(visible),
+        problem: (() => { ${DIAGNOSE_PAGE_SCRIPT} })()
+    };
+`;
+
+// How long a submitted login gets to leave the login page before it is judged
+const LOGIN_SETTLE_MS = Number(process.env.LOGIN_SETTLE_SECONDS || 5) * 1000;
+
+// Portal login error markers are strings (matched case-insensitively) or RegExps
+function findMarker(text, markers = []) {
+    for (const marker of markers) {
+        const match = marker instanceof RegExp
+            ? text.match(marker)
+            : text.toLowerCase().includes(marker.toLowerCase()) && [marker];
+        if (match) return match[0];
+    }
+    return null;
+}
+
+function withoutHash(url) {
+    return (url || '').split('#')[0].replace(/\/$/, '');
+}
+
+async function readLoginPage(driver, markers) {
+    const page = await driver.executeScript(LOGIN_PAGE_SCRIPT);
+    return {
+        url: await driver.getCurrentUrl(),
+        passwordField: page.passwordField,
+        problem: page.problem,
+        marker: findMarker(page.text, markers)
+    };
+}
+
+// Check that a login typed at `loginUrl` got through. It failed when the page shows one of the
+// portal's error markers or a generic login/CAPTCHA/outage diagnosis, or when the browser never
+// left the login URL and the password field is still showing (skipped without a loginUrl).
+// Returns the failure, or null.
+export async function checkLogin(driver, { loginUrl, markers = [] }) {
+    let page = await readLoginPage(driver, markers);
+    const stuck = current => Boolean(loginUrl) && !current.marker && !current.problem &&
+        current.passwordField && withoutHash(current.url) === withoutHash(loginUrl);
+
+    // The form may still be submitting
+    if (stuck(page)) {
+        try {
+            await driver.wait(async () => !stuck(page = await readLoginPage(driver, markers)), LOGIN_SETTLE_MS, null, 500);
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+        }
+    }
+
+    if (page.marker) {
+        return new JournalError('LOGIN_FAILED', `Login rejected (page shows: ${page.marker})`);
+    }
+    if (page.problem) {
+        return new JournalError(page.problem.code, `Login did not complete (page shows: ${page.problem.evidence})`);
+    }
+    if (stuck(page)) {
+        return new JournalError('LOGIN_FAILED', `Login did not get past ${withoutHash(loginUrl)} within ${LOGIN_SETTLE_MS / 1000}s`);
+    }
+    return null;
+}
+
+// Friendly WhatsApp explanation for a failure
+export function describeFailure(code, journal) {
+    return (ERROR_CODES[code] || ERROR_CODES.UNKNOWN).reply.replace('{journal}', journal);
+}
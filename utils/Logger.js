@@ -6,6 +6,7 @@ class Logger {
         this.baseLogPath = path.join(process.cwd(), 'logs');
         this.currentYearFile = null;
         this.activeRequests = new Map(); // Track active requests
+        this.writeQueue = Promise.resolve(); // Serializes read-modify-writes of the log files
         this.initLogger();
     }
 
@@ -28,6 +29,31 @@ class Logger {
         }
     }
 
+    // Read a JSON log, let `update` change the array in place and write it back. Concurrent journals
+    // update the same file, so every update waits for the one before it, and the new content is
+    // written to a temp file renamed into place so a reader never sees half a file. A log that
+    // exists but cannot be parsed is left alone rather than replaced. `update` returns false to skip the write.
+    updateLogFile(logFile, update) {
+        const run = this.writeQueue.then(async () => {
+            let logs = [];
+            try {
+                logs = JSON.parse(await fs.readFile(logFile, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw new Error(`Cannot read ${logFile}, leaving it untouched: ${error.message}`);
+                }
+            }
+
+            if (update(logs) === false) return;
+
+            const tempFile = `${logFile}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(logs, null, 2));
+            await fs.rename(tempFile, logFile);
+        });
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
     calculateDuration(startTime, endTime) {
         return Math.round((new Date(endTime) - new Date(startTime)) / 1000);
     }
@@ -62,25 +88,15 @@ class Logger {
                 this.activeRequests.set(data.requestId, logEntry);
             }
 
-            // Read existing logs
-            let logs = [];
-            try {
-                const existingData = await fs.readFile(logFile, 'utf8');
-                logs = JSON.parse(existingData);
-                
-                // Update or add entry
+            // Update or add entry
+            await this.updateLogFile(logFile, logs => {
                 const existingIndex = logs.findIndex(log => log.id === data.requestId);
                 if (existingIndex >= 0) {
                     logs[existingIndex] = logEntry;
                 } else {
                     logs.push(logEntry);
                 }
-            } catch (error) {
-                logs = [logEntry];
-            }
-
-            // Write updated logs
-            await fs.writeFile(logFile, JSON.stringify(logs, null, 2));
+            });
             return logEntry.id;
         } catch (error) {
             console.error('Logging error:', error);
@@ -92,21 +108,19 @@ class Logger {
             const year = new Date().getFullYear();
             const logFile = path.join(this.baseLogPath, `journal_logs_${year}.json`);
 
-            // Get active request or from file
-            let logEntry = this.activeRequests.get(requestId);
-            if (!logEntry) {
-                const logs = JSON.parse(await fs.readFile(logFile, 'utf8'));
-                logEntry = logs.find(log => log.id === requestId);
+            // Calculate timeTaken for journal
+            if (journalData.startTime && journalData.completionTime) {
+                journalData.timeTaken = this.calculateDuration(
+                    journalData.startTime,
+                    journalData.completionTime
+                );
             }
 
-            if (logEntry) {
-                // Calculate timeTaken for journal
-                if (journalData.startTime && journalData.completionTime) {
-                    journalData.timeTaken = this.calculateDuration(
-                        journalData.startTime,
-                        journalData.completionTime
-                    );
-                }
+            await this.updateLogFile(logFile, logs => {
+                // Get active request or from file
+                const entryIndex = logs.findIndex(log => log.id === requestId);
+                const logEntry = this.activeRequests.get(requestId) || logs[entryIndex];
+                if (!logEntry) return false;
 
                 const journalIndex = logEntry.journals.findIndex(j => j.url === journalData.url);
                 if (journalIndex >= 0) {
@@ -118,19 +132,10 @@ class Logger {
                     logEntry.journals.push(journalData);
                 }
 
-                // Update active request if exists
-                if (this.activeRequests.has(requestId)) {
-                    this.activeRequests.set(requestId, logEntry);
-                }
-
                 // Update file
-                const logs = JSON.parse(await fs.readFile(logFile, 'utf8'));
-                const entryIndex = logs.findIndex(log => log.id === requestId);
-                if (entryIndex >= 0) {
-                    logs[entryIndex] = logEntry;
-                    await fs.writeFile(logFile, JSON.stringify(logs, null, 2));
-                }
-            }
+                if (entryIndex < 0) return false;
+                logs[entryIndex] = logEntry;
+            });
         } catch (error) {
             console.error('Error updating journal status:', error);
         }
@@ -149,6 +154,84 @@ class Logger {
         }
     }
 
+    // Request ids are UUIDs; anything else must not escape the traces folder
+    isValidRequestId(requestId) {
+        return /^[\w-]+$/.test(requestId || '');
+    }
+
+    getTraceFolder(requestId) {
+        if (!this.isValidRequestId(requestId)) {
+            throw new Error(`Invalid request id: ${requestId}`);
+        }
+        return path.join(this.baseLogPath, 'traces', requestId);
+    }
+
+    // Store a journal's execution trace (plus failure screenshot/HTML) next to its request log
+    async saveTrace(trace) {
+        try {
+            const folder = this.getTraceFolder(trace.requestId);
+            await fs.mkdir(folder, { recursive: true });
+
+            const baseName = `journal_${trace.journal}`;
+            const record = trace.toJSON();
+
+            if (trace.failure?.screenshot) {
+                record.failure.screenshot = `${baseName}_failure.png`;
+                await fs.writeFile(path.join(folder, record.failure.screenshot), trace.failure.screenshot, 'base64');
+            }
+            if (trace.failure?.html) {
+                record.failure.html = `${baseName}_failure.html`;
+                await fs.writeFile(path.join(folder, record.failure.html), trace.failure.html);
+            }
+
+            const traceFile = path.join(folder, `${baseName}.json`);
+            await fs.writeFile(traceFile, JSON.stringify(record, null, 2));
+
+            await this.updateJournalStatus(trace.requestId, {
+                url: trace.url,
+                trace: path.relative(this.baseLogPath, traceFile)
+            });
+            return traceFile;
+        } catch (error) {
+            console.error('Error saving trace:', error);
+        }
+    }
+
+    async getTraces(requestId) {
+        const folder = this.getTraceFolder(requestId);
+        try {
+            const files = (await fs.readdir(folder)).filter(name => name.endsWith('.json')).sort();
+            return Promise.all(files.map(async name => JSON.parse(await fs.readFile(path.join(folder, name), 'utf8'))));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Resolve a trace artifact (failure screenshot or HTML) for download
+    async getTraceArtifact(requestId, name) {
+        if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) return null;
+
+        const file = path.join(this.getTraceFolder(requestId), name);
+        try {
+            await fs.access(file);
+            return file;
+        } catch {
+            return null;
+        }
+    }
+
+    // All request entries logged in a year; empty when there is no log for it
+    async getRequestLogs(year = new Date().getFullYear()) {
+        const logFile = path.join(this.baseLogPath, `journal_logs_${year}.json`);
+        try {
+            return JSON.parse(await fs.readFile(logFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error reading request logs:', error);
+            return [];
+        }
+    }
+
     // Add utility methods for log analysis
     async getYearlyStats(year = new Date().getFullYear()) {
         const logFile = path.join(this.baseLogPath, `journal_logs_${year}.json`);
@@ -172,14 +255,6 @@ class Logger {
             const year = new Date().getFullYear();
             const feedbackLogFile = path.join(this.baseLogPath, `feedback_logs_${year}.json`);
             
-            let feedbacks = [];
-            try {
-                const existingData = await fs.readFile(feedbackLogFile, 'utf8');
-                feedbacks = JSON.parse(existingData);
-            } catch {
-                // File doesn't exist yet
-            }
-
             const feedbackEntry = {
                 timestamp: new Date().toISOString(),
                 userId: data.userId,
@@ -190,8 +265,9 @@ class Logger {
                 messageId: data.messageId
             };
 
-            feedbacks.push(feedbackEntry);
-            await fs.writeFile(feedbackLogFile, JSON.stringify(feedbacks, null, 2));
+            await this.updateLogFile(feedbackLogFile, feedbacks => {
+                feedbacks.push(feedbackEntry);
+            });
             return feedbackEntry;
         } catch (error) {
             console.error('Error logging feedback:', error);
@@ -0,0 +1,144 @@
+// Defaults for the deadlines below; portals may override the journal deadline
+const JOURNAL_TIMEOUT_MINUTES = Number(process.env.JOURNAL_TIMEOUT_MINUTES) || 10;
+const STEP_TIMEOUT_SECONDS = Number(process.env.STEP_TIMEOUT_SECONDS) || 120;
+const CHKSTS_TIMEOUT_SECONDS = Number(process.env.CHKSTS_TIMEOUT_SECONDS) || 300;
+
+// "wiley=20,tandfonline=15" -> { wiley: 20, tandfonline: 15 }
+function parsePortalTimeouts(value) {
+    const timeouts = {};
+    for (const entry of (value || '').split(',')) {
+        const [portal, minutes] = entry.split('=').map(part => part && part.trim());
+        if (portal && Number(minutes) > 0) timeouts[portal] = Number(minutes);
+    }
+    return timeouts;
+}
+
+const PORTAL_TIMEOUTS = parsePortalTimeouts(process.env.JOURNAL_PORTAL_TIMEOUTS);
+
+// A journal or one of its steps ran past its deadline; `deadline` is 'journal' or 'step'
+export class DeadlineExceededError extends Error {
+    constructor(deadline, seconds, label = null) {
+        super(deadline === 'journal'
+            ? `Journal did not finish within ${seconds}s`
+            : `Step "${label}" did not finish within ${seconds}s`);
+        this.name = 'DeadlineExceededError';
+        this.deadline = deadline;
+    }
+}
+
+// Deadlines for one journal run. When one passes, the watchdog aborts its signal; whoever runs
+// the journal listens to it (the browser pool quits the driver, Python portals kill the process).
+// The signal also follows the job's own signal, so cancelling the job stops the run the same way.
+export class Watchdog {
+    constructor({ journalSeconds, stepSeconds = STEP_TIMEOUT_SECONDS, chkstsSeconds = CHKSTS_TIMEOUT_SECONDS, signal = null }) {
+        this.journalSeconds = journalSeconds;
+        this.stepSeconds = stepSeconds;
+        this.chkstsSeconds = chkstsSeconds;
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.expired = false;
+        this.jobSignal = signal;
+        this.onCancel = null;
+
+        // Follow the job's signal by hand; AbortSignal.any needs Node 20.3
+        if (signal?.aborted) {
+            this.controller.abort(signal.reason);
+        } else if (signal) {
+            this.onCancel = () => this.controller.abort(signal.reason);
+            signal.addEventListener('abort', this.onCancel, { once: true });
+        }
+        this.journalTimer = null;
+        this.journalDeadline = null;
+        this.stepTimer = null;
+    }
+
+    // Journal deadline: env override, then the portal module's timeoutMinutes, then the default
+    static forPortal(portal, signal = null) {
+        const minutes = PORTAL_TIMEOUTS[portal.id] || portal.timeoutMinutes || JOURNAL_TIMEOUT_MINUTES;
+        return new Watchdog({ journalSeconds: minutes * 60, signal });
+    }
+
+    // True when a deadline (not a cancellation) stopped the run
+    get timedOut() {
+        return this.expired;
+    }
+
+    expire(error) {
+        if (this.signal.aborted) return;
+        this.expired = true;
+        console.error(`Watchdog: ${error.message}`);
+        this.controller.abort(error);
+    }
+
+    // Start the journal deadline; called once the journal has a browser, so time spent waiting
+    // for a pool slot does not count
+    start() {
+        if (this.journalDeadline) return;
+        this.armJournal(this.journalSeconds * 1000);
+    }
+
+    armJournal(ms) {
+        this.journalDeadline = Date.now() + ms;
+        this.journalTimer = setTimeout(
+            () => this.expire(new DeadlineExceededError('journal', this.journalSeconds)),
+            ms
+        );
+    }
+
+    // Run an action that waits on the client (a verification code); the time it takes does not
+    // count against the journal deadline. The step deadline still applies.
+    async pauseJournal(action) {
+        if (!this.journalDeadline) return action();
+
+        clearTimeout(this.journalTimer);
+        const remaining = this.journalDeadline - Date.now();
+        try {
+            return await action();
+        } finally {
+            if (!this.signal.aborted && this.journalDeadline) this.armJournal(remaining);
+        }
+    }
+
+    // (Re)start the step deadline; Python portals call this on every line of output
+    armStep(label, seconds = this.stepSeconds) {
+        clearTimeout(this.stepTimer);
+        this.stepTimer = setTimeout(
+            () => this.expire(new DeadlineExceededError('step', seconds, label)),
+            seconds * 1000
+        );
+    }
+
+    disarmStep() {
+        clearTimeout(this.stepTimer);
+        this.stepTimer = null;
+    }
+
+    // Run one step under the step deadline. The step fails with the deadline error as soon as the
+    // signal aborts, even if its driver command never returns.
+    async step(label, action, seconds = this.stepSeconds) {
+        this.signal.throwIfAborted();
+        this.armStep(label, seconds);
+
+        let onAbort;
+        const aborted = new Promise((resolve, reject) => {
+            onAbort = () => reject(this.signal.reason);
+            this.signal.addEventListener('abort', onAbort, { once: true });
+        });
+        const running = action();
+        running.catch(() => {});  // Settles after the race when the driver is quit under it
+
+        try {
+            return await Promise.race([running, aborted]);
+        } finally {
+            this.disarmStep();
+            this.signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    stop() {
+        clearTimeout(this.journalTimer);
+        this.journalDeadline = null;
+        this.disarmStep();
+        if (this.onCancel) this.jobSignal.removeEventListener('abort', this.onCancel);
+    }
+}
@@ -0,0 +1,506 @@
+import fs from 'fs';
+import path from 'path';
+
+// Folder holding the per-portal KEYS scripts
+export const KEYS_FOLDER = path.join(process.cwd(), 'keys');
+
+// Instructions that take no arguments
+const SIMPLE_INSTRUCTIONS = new Set([
+    'TAB',
+    'SPACE',
+    'ESC',
+    'ENTER',
+    'FIND',
+    'PASTE',
+    'INPUTUSR',
+    'INPUTPASS',
+    'SCRNSHT',
+    'CHKSTS',
+    'CHKREGQS',
+    'GOTOURL'   // Only understood by the Python (SeleniumBase) runners
+]);
+
+// Targets understood by the legacy CLICK-<target> form
+const CLICK_TARGETS = new Set(['input', 'loginButton']);
+
+// Instructions that act on an element picked by a selector
+const SELECTOR_INSTRUCTIONS = new Set(['CLICK', 'WAITFOR', 'TYPE', 'SELECT']);
+
+// Asks the client for a verification code and types it (optional selector and timeout)
+const OTP_INSTRUCTION = 'AWAITOTP';
+
+// Selector prefixes, e.g. css:#login, xpath://button, link:"Sign in"; unprefixed selectors are CSS
+const SELECTOR_STRATEGIES = new Set(['css', 'xpath', 'id', 'name', 'link']);
+
+// Block openers, each closed by END
+const BLOCK_INSTRUCTIONS = new Set(['IF-TEXT', 'IF-ELEMENT', 'IF-SESSION', 'REPEAT']);
+
+// Other control flow keywords
+const CONTROL_INSTRUCTIONS = new Set(['ELSE', 'END', 'LABEL', 'GOTO', 'INCLUDE']);
+
+const MAX_REPEAT_COUNT = 100;
+
+// Element states WAITFOR can wait for
+const WAIT_STATES = new Set(['present', 'visible', 'clickable']);
+
+export const DEFAULT_WAIT_TIMEOUT = 10000;
+
+export class KeysSyntaxError extends Error {
+    constructor(reason, { file, line, column }, errors = []) {
+        super(`${file}:${line}:${column} ${reason}`);
+        this.name = 'KeysSyntaxError';
+        this.reason = reason;
+        this.file = file;
+        this.line = line;
+        this.column = column;
+        this.errors = errors;
+    }
+}
+
+// Split instruction arguments on whitespace, honouring "double quoted" sections
+function tokenize(text, offset, fail) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let value = '';
+        while (i < text.length && !/\s/.test(text[i])) {
+            if (text[i] !== '"') {
+                value += text[i++];
+                continue;
+            }
+
+            const open = i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) fail('Unterminated quoted string', offset + open);
+            i++;
+        }
+        tokens.push({ value, offset: offset + start });
+    }
+
+    return tokens;
+}
+
+function parseSelector(token, fail) {
+    const match = token.value.match(/^([a-z]+):([\s\S]*)$/);
+    const selector = match && SELECTOR_STRATEGIES.has(match[1])
+        ? { strategy: match[1], value: match[2] }
+        : { strategy: 'css', value: token.value };
+
+    if (!selector.value) fail(`Empty ${selector.strategy} selector`, token.offset);
+    return selector;
+}
+
+// Parse CLICK/WAITFOR/TYPE/SELECT, which all start with a selector
+function parseSelectorInstruction(word, text, fail) {
+    const tokens = tokenize(text.slice(word.length), word.length, fail);
+    const [selectorToken, ...rest] = tokens;
+
+    if (!selectorToken) fail(`${word} expects a selector, e.g. ${word} css:#submit`, word.length);
+    const args = { selector: parseSelector(selectorToken, fail) };
+
+    if (word === 'CLICK') {
+        if (rest.length > 0) fail('CLICK takes a single selector (quote selectors containing spaces)', rest[0].offset);
+    } else if (word === 'WAITFOR') {
+        args.state = 'visible';
+        args.timeout = DEFAULT_WAIT_TIMEOUT;
+        const seen = new Set();
+        for (const token of rest) {
+            const kind = /^\d+$/.test(token.value) ? 'timeout' : 'state';
+            if (seen.has(kind)) fail(`WAITFOR accepts a single ${kind}`, token.offset);
+            if (kind === 'state' && !WAIT_STATES.has(token.value)) {
+                fail(`Unknown WAITFOR state '${token.value}' (expected one of: ${[...WAIT_STATES].join(', ')})`, token.offset);
+            }
+            seen.add(kind);
+            args[kind] = kind === 'timeout' ? parseInt(token.value, 10) : token.value;
+        }
+    } else {
+        // TYPE and SELECT take exactly one text argument after the selector
+        const what = word === 'TYPE' ? 'the text to type' : 'the option text to select';
+        if (rest.length === 0) fail(`${word} expects a selector and ${what}`, text.length);
+        if (rest.length > 1) fail(`${word} takes a single text argument (quote text containing spaces)`, rest[1].offset);
+        args[word === 'TYPE' ? 'text' : 'option'] = rest[0].value;
+    }
+
+    return args;
+}
+
+// AWAITOTP [<selector>] [<ms>]: without a selector the code is typed into the focused field;
+// without a timeout the runner's default applies
+function parseOtpInstruction(text, fail) {
+    const tokens = tokenize(text.slice(OTP_INSTRUCTION.length), OTP_INSTRUCTION.length, fail);
+    const args = { selector: null, timeout: null };
+
+    for (const token of tokens) {
+        const kind = /^\d+$/.test(token.value) ? 'timeout' : 'selector';
+        if (args[kind] !== null) fail(`${OTP_INSTRUCTION} accepts a single ${kind}`, token.offset);
+        if (kind === 'timeout') {
+            args.timeout = parseInt(token.value, 10);
+            if (args.timeout < 1000) fail(`${OTP_INSTRUCTION} timeout is in milliseconds and must be at least 1000`, token.offset);
+        } else {
+            args.selector = parseSelector(token, fail);
+        }
+    }
+
+    return args;
+}
+
+// Parse IF-TEXT/IF-ELEMENT/REPEAT openers and ELSE/END/LABEL/GOTO/INCLUDE
+function parseControlInstruction(word, text, node, fail) {
+    const tokens = tokenize(text.slice(word.length), word.length, fail);
+    const single = (what) => {
+        if (tokens.length === 0) fail(`${word} expects ${what}`, text.length);
+        if (tokens.length > 1) fail(`${word} takes a single argument (quote text containing spaces)`, tokens[1].offset);
+        return tokens[0];
+    };
+
+    switch (word) {
+        case 'IF-TEXT':
+            return { ...node, type: 'If', name: word, args: { text: single('the text to look for').value }, body: [], elseBody: [] };
+        case 'IF-ELEMENT':
+            return { ...node, type: 'If', name: word, args: { selector: parseSelector(single('a selector'), fail) }, body: [], elseBody: [] };
+        case 'IF-SESSION': {
+            // Optional selector of an element only shown to logged-in users
+            if (tokens.length > 1) fail(`${word} takes at most one selector (quote selectors containing spaces)`, tokens[1].offset);
+            const selector = tokens.length > 0 ? parseSelector(tokens[0], fail) : null;
+            return { ...node, type: 'If', name: word, args: { selector }, body: [], elseBody: [] };
+        }
+        case 'REPEAT': {
+            const token = single('a repeat count');
+            const count = /^\d+$/.test(token.value) ? parseInt(token.value, 10) : NaN;
+            if (!(count >= 1 && count <= MAX_REPEAT_COUNT)) {
+                fail(`REPEAT count must be a whole number between 1 and ${MAX_REPEAT_COUNT}`, token.offset);
+            }
+            return { ...node, type: 'Repeat', name: word, args: { count }, body: [] };
+        }
+        case 'LABEL':
+        case 'GOTO': {
+            const token = single('a label name');
+            if (!/^[A-Za-z_][\w-]*$/.test(token.value)) fail(`Invalid label name '${token.value}'`, token.offset);
+            return { ...node, name: word, args: { label: token.value } };
+        }
+        case 'INCLUDE':
+            return { ...node, type: 'Include', name: word, args: { path: single('a keys file to include').value }, program: null };
+        default:
+            // ELSE and END
+            if (tokens.length > 0) fail(`${word} takes no arguments`, tokens[0].offset);
+            return { ...node, name: word, args: {} };
+    }
+}
+
+// Check that every GOTO targets a unique label in its own block or an enclosing one
+function checkLabels(body, errors, visible = new Set(), defined = new Map()) {
+    const scope = new Set(visible);
+
+    for (const node of body) {
+        if (node.name !== 'LABEL') continue;
+        if (defined.has(node.args.label)) {
+            errors.push(new KeysSyntaxError(`Duplicate label '${node.args.label}' (first defined on line ${defined.get(node.args.label)})`, node));
+        }
+        defined.set(node.args.label, node.line);
+        scope.add(node.args.label);
+    }
+
+    for (const node of body) {
+        if (node.name === 'GOTO' && !scope.has(node.args.label)) {
+            errors.push(new KeysSyntaxError(`GOTO target '${node.args.label}' is not defined in this block or an enclosing one`, node));
+        }
+        if (node.body) checkLabels(node.body, errors, scope, defined);
+        if (node.elseBody) checkLabels(node.elseBody, errors, scope, defined);
+    }
+}
+
+function throwCollected(errors) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    throw new KeysSyntaxError(`${first.reason}${more}`, first, errors);
+}
+
+// Parse a single non-empty line into an instruction node
+function parseLine(text, position) {
+    const node = { type: 'Instruction', file: position.file, line: position.line, column: position.column, source: text };
+    const fail = (reason, offset = 0) => {
+        throw new KeysSyntaxError(reason, { ...position, column: position.column + offset });
+    };
+
+    if (SIMPLE_INSTRUCTIONS.has(text)) {
+        return { ...node, name: text, args: {} };
+    }
+
+    if (text.startsWith('INPUT-')) {
+        const inputText = text.slice('INPUT-'.length);
+        if (!inputText) fail('INPUT- expects the text to type', 'INPUT-'.length);
+        return { ...node, name: 'INPUT', args: { text: inputText } };
+    }
+
+    if (text.startsWith('CLICK-')) {
+        const target = text.slice('CLICK-'.length);
+        if (!CLICK_TARGETS.has(target)) {
+            fail(`Unknown CLICK target '${target}' (expected one of: ${[...CLICK_TARGETS].join(', ')})`, 'CLICK-'.length);
+        }
+        return { ...node, name: 'CLICK', args: { target } };
+    }
+
+    const [word] = text.split(/\s+/);
+
+    if (SELECTOR_INSTRUCTIONS.has(word)) {
+        return { ...node, name: word, args: parseSelectorInstruction(word, text, fail) };
+    }
+
+    if (BLOCK_INSTRUCTIONS.has(word) || CONTROL_INSTRUCTIONS.has(word)) {
+        return parseControlInstruction(word, text, node, fail);
+    }
+
+    if (word === OTP_INSTRUCTION) {
+        return { ...node, name: word, args: parseOtpInstruction(text, fail) };
+    }
+
+    if (word.startsWith('SLEEP')) {
+        // Accept "SLEEP 2000" as well as the "SLEEP {2000}" form read by the Python handlers
+        const rest = text.slice('SLEEP'.length);
+        const match = rest.match(/^\s*(?:\{\s*(\d+)\s*\}|(\d+))$/);
+        if (!match) {
+            fail('SLEEP expects a duration in milliseconds, e.g. SLEEP 2000', text.length - rest.trimStart().length);
+        }
+        return { ...node, name: 'SLEEP', args: { ms: parseInt(match[1] || match[2], 10) } };
+    }
+
+    if (SIMPLE_INSTRUCTIONS.has(word)) {
+        fail(`${word} takes no arguments`, text.length - text.slice(word.length).trimStart().length);
+    }
+
+    const known = [SIMPLE_INSTRUCTIONS, SELECTOR_INSTRUCTIONS, BLOCK_INSTRUCTIONS, CONTROL_INSTRUCTIONS, new Set([OTP_INSTRUCTION])]
+        .some(set => set.has(word.toUpperCase()));
+    const hint = known ? ` (did you mean ${word.toUpperCase()}?)` : '';
+    fail(`Unknown instruction '${word}'${hint}`);
+}
+
+// Parse a KEYS script into an AST, collecting every syntax error before failing
+export function parseKeys(source, { file = '<inline>' } = {}) {
+    const body = [];
+    const errors = [];
+    const lines = source.replace(/^\uFEFF/, '').split('\n');
+
+    // Open IF/REPEAT blocks; instructions are appended to the innermost one
+    const stack = [];
+    const current = () => {
+        const frame = stack[stack.length - 1];
+        if (!frame) return body;
+        return frame.inElse ? frame.node.elseBody : frame.node.body;
+    };
+
+    for (const [index, rawLine] of lines.entries()) {
+        const line = rawLine.replace(/\r$/, '');
+        const text = line.trim();
+
+        // Skip blank lines and comments
+        if (!text || text.startsWith('#')) continue;
+
+        const position = { file, line: index + 1, column: line.length - line.trimStart().length + 1 };
+        let node;
+        try {
+            node = parseLine(text, position);
+        } catch (error) {
+            if (!(error instanceof KeysSyntaxError)) throw error;
+            errors.push(error);
+
+            // Keep a broken opener on the stack so its END still pairs up
+            const [word] = text.split(/\s+/);
+            if (BLOCK_INSTRUCTIONS.has(word)) {
+                stack.push({ node: { ...position, name: word, body: [], elseBody: [] }, inElse: false });
+            }
+            continue;
+        }
+
+        if (node.name === 'ELSE') {
+            const frame = stack[stack.length - 1];
+            if (!frame || frame.node.type !== 'If') {
+                errors.push(new KeysSyntaxError('ELSE without a matching IF-TEXT, IF-ELEMENT or IF-SESSION', position));
+            } else if (frame.inElse) {
+                errors.push(new KeysSyntaxError(`Second ELSE for the ${frame.node.name} on line ${frame.node.line}`, position));
+            } else {
+                frame.inElse = true;
+            }
+        } else if (node.name === 'END') {
+            if (stack.length === 0) {
+                errors.push(new KeysSyntaxError('END without a matching IF-TEXT, IF-ELEMENT, IF-SESSION or REPEAT', position));
+            } else {
+                stack.pop();
+            }
+        } else {
+            current().push(node);
+            if (node.type === 'If' || node.type === 'Repeat') {
+                stack.push({ node, inElse: false });
+            }
+        }
+    }
+
+    for (const { node } of stack) {
+        errors.push(new KeysSyntaxError(`${node.name} is missing its END`, node));
+    }
+
+    checkLabels(body, errors);
+
+    if (errors.length > 0) throwCollected(errors);
+
+    return { type: 'Program', file, body };
+}
+
+// Parse INCLUDE targets (relative to the including file) and attach them to their nodes
+function resolveIncludes(program, baseDir, chain) {
+    const errors = [];
+
+    const visit = (body) => {
+        for (const node of body) {
+            if (node.type === 'Include') {
+                const includeFile = path.join(baseDir, node.args.path);
+                try {
+                    if (chain.includes(path.resolve(includeFile))) {
+                        throw new KeysSyntaxError(`Circular INCLUDE of ${node.args.path}`, node);
+                    }
+                    if (!fs.existsSync(includeFile)) {
+                        throw new KeysSyntaxError(`Included keys file not found: ${node.args.path}`, node);
+                    }
+                    node.program = loadKeysScript(includeFile, chain);
+                } catch (error) {
+                    if (!(error instanceof KeysSyntaxError)) throw error;
+                    errors.push(...(error.errors.length > 0 ? error.errors : [error]));
+                }
+            }
+            if (node.body) visit(node.body);
+            if (node.elseBody) visit(node.elseBody);
+        }
+    };
+
+    visit(program.body);
+    if (errors.length > 0) throwCollected(errors);
+    return program;
+}
+
+// Whether a parsed script (or anything it INCLUDEs) uses an instruction
+export function usesInstruction(program, name) {
+    const visit = body => body.some(node => node.name === name ||
+        (node.program && visit(node.program.body)) ||
+        (node.body && visit(node.body)) ||
+        (node.elseBody && visit(node.elseBody)));
+    return visit(program.body);
+}
+
+// Read and parse a KEYS script from disk, including any INCLUDEd fragments
+export function loadKeysScript(keysFile, chain = []) {
+    if (!fs.existsSync(keysFile)) {
+        throw new Error(`Keys file not found: ${keysFile}`);
+    }
+    const program = parseKeys(fs.readFileSync(keysFile, 'utf-8'), { file: keysFile });
+    return resolveIncludes(program, path.dirname(keysFile), [...chain, path.resolve(keysFile)]);
+}
+
+// Instructions the Python (SeleniumBase) runners understand; a portal may narrow them to what its
+// script handles with keysInstructions
+export const PYTHON_INSTRUCTIONS = ['TAB', 'SPACE', 'ENTER', 'INPUTUSR', 'INPUTPASS', 'SLEEP', 'SCRNSHT', 'CHKSTS', 'GOTOURL'];
+
+// Python runners read their keys file line by line and skip what they do not know, so only bare
+// instructions are allowed: no comments, blocks or INCLUDEs, and SLEEP only as SLEEP {ms}.
+// Returns the instruction names in order.
+export function parsePythonKeys(source, { file = '<inline>', instructions = PYTHON_INSTRUCTIONS, runner = 'the Python runner' } = {}) {
+    const names = [];
+    const errors = [];
+
+    for (const [index, rawLine] of source.replace(/^\uFEFF/, '').split('\n').entries()) {
+        const line = rawLine.replace(/\r$/, '');
+        const text = line.trim();
+        if (!text) continue;
+
+        const name = /^SLEEP\s*\{\s*\d+\s*\}$/.test(text) ? 'SLEEP' : text;
+        if (instructions.includes(name)) {
+            names.push(name);
+            continue;
+        }
+
+        const position = { file, line: index + 1, column: line.length - line.trimStart().length + 1 };
+        const reason = name.startsWith('SLEEP') && instructions.includes('SLEEP')
+            ? `${runner} only reads SLEEP {<ms>}, e.g. SLEEP {2000}`
+            : `'${text}' is not understood by ${runner} (expected one of: ${instructions.join(', ')})`;
+        errors.push(new KeysSyntaxError(reason, position));
+    }
+
+    if (errors.length > 0) throwCollected(errors);
+    return names;
+}
+
+// Lint a KEYS script without executing it; INCLUDEs are resolved against baseDir.
+// With python set ({ instructions, runner }), the script is checked against that Python runner instead.
+export function validateKeys(source, { file = '<inline>', baseDir = KEYS_FOLDER, python = null } = {}) {
+    try {
+        if (python) {
+            const names = parsePythonKeys(source, { file, ...python });
+            return { file, valid: true, instructions: names.length, errors: [] };
+        }
+
+        const program = parseKeys(source, { file });
+        resolveIncludes(program, baseDir, file === '<inline>' ? [] : [path.resolve(file)]);
+        return { file, valid: true, instructions: program.body.length, errors: [] };
+    } catch (error) {
+        if (!(error instanceof KeysSyntaxError)) throw error;
+        return {
+            file,
+            valid: false,
+            errors: error.errors.map(e => ({
+                file: e.file,
+                line: e.line,
+                column: e.column,
+                message: e.reason
+            }))
+        };
+    }
+}
+
+// How a portal's keys file is read: the full language, or the line-by-line Python subset
+export function keysRunnerFor(portal) {
+    if (portal.runner !== 'python') return null;
+    return { instructions: portal.keysInstructions || PYTHON_INSTRUCTIONS, runner: `${portal.name}'s Python runner` };
+}
+
+// Lint every KEYS script in the keys folder, plus the keys files portals declare elsewhere
+// (e.g. portals/ojs_KEYS.txt). A file used by Python portals must also stay within what their
+// runners read; files no portal declares are checked as Selenium scripts.
+export function validateKeysFolder(folder = KEYS_FOLDER, portals = []) {
+    if (!fs.existsSync(folder)) {
+        throw new Error(`Keys folder not found: ${folder}`);
+    }
+
+    const files = fs.readdirSync(folder)
+        .filter(name => name.endsWith('.txt'))
+        .sort()
+        .map(name => path.relative(process.cwd(), path.join(folder, name)));
+    const declared = portals
+        .filter(portal => portal.keysFile)
+        .map(portal => path.relative(process.cwd(), path.resolve(portal.keysFile)))
+        .filter((file, index, all) => all.indexOf(file) === index && !files.includes(file))
+        .sort();
+
+    return [...files, ...declared].map(file => {
+        if (!fs.existsSync(file)) {
+            return { file, valid: false, errors: [{ file, line: null, column: null, message: 'Keys file not found' }] };
+        }
+        const source = fs.readFileSync(file, 'utf-8');
+        const users = portals.filter(portal => portal.keysFile && path.resolve(portal.keysFile) === path.resolve(file));
+        const runners = users.some(portal => portal.runner !== 'python') || users.length === 0 ? [null] : [];
+        runners.push(...users.map(keysRunnerFor).filter(Boolean));
+
+        const results = runners.map(python => validateKeys(source, { file, baseDir: path.dirname(file), python }));
+        const errors = results.flatMap(result => result.errors);
+        return errors.length > 0
+            ? { file, valid: false, errors }
+            : results[0];
+    });
+}